@@ -0,0 +1,23 @@
+// Minimal "--key value" / "--key=value" / "--flag" parser for the CLI scripts
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      args[key] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[i + 1];
+      i += 1;
+    } else {
+      args[key] = true;
+    }
+  }
+
+  return args;
+};
+
+module.exports = { parseArgs };
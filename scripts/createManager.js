@@ -0,0 +1,63 @@
+/**
+ * Create the first Manager account on a fresh install.
+ *
+ *   npm run bootstrap -- --name "Jane Doe" --email jane@karibu.com --password secret123 --phone 0700000000 --branch Maganjo
+ *
+ * Each option can also come from the environment: BOOTSTRAP_MANAGER_NAME,
+ * BOOTSTRAP_MANAGER_EMAIL, BOOTSTRAP_MANAGER_PASSWORD, BOOTSTRAP_MANAGER_PHONE
+ * and BOOTSTRAP_MANAGER_BRANCH. Refuses to run once a Manager exists.
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const User = require('../src/models/User');
+const { parseArgs } = require('./args');
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const manager = {
+    name: args.name || process.env.BOOTSTRAP_MANAGER_NAME,
+    email: args.email || process.env.BOOTSTRAP_MANAGER_EMAIL,
+    password: args.password || process.env.BOOTSTRAP_MANAGER_PASSWORD,
+    phone: args.phone || process.env.BOOTSTRAP_MANAGER_PHONE,
+    branch: args.branch || process.env.BOOTSTRAP_MANAGER_BRANCH,
+    role: 'Manager',
+  };
+
+  const missing = ['name', 'email', 'password', 'phone'].filter((field) => !manager[field]);
+  if (missing.length) {
+    console.error(`Missing ${missing.join(', ')}. Pass --${missing[0]} or set BOOTSTRAP_MANAGER_${missing[0].toUpperCase()}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  const existing = await User.countDocuments({ role: 'Manager' });
+  if (existing > 0) {
+    console.error('A Manager already exists. Log in as that Manager and use POST /api/users to add more users.');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const user = await User.create(manager);
+    console.log(`Created Manager ${user.name} <${user.email}>${user.branch ? ` at ${user.branch}` : ''}`);
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,57 @@
+/**
+ * Give an outstanding balance to credit sales recorded before the payment ledger existed.
+ *
+ *   npm run migrate:balances             report what would change
+ *   npm run migrate:balances -- --apply  set the balances
+ *
+ * Paid sales get a balance of 0; the rest owe their amount due less any payments
+ * recorded against them. Sales are updated directly, without their other
+ * validation, so older sales that are missing other fields are still fixed.
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const { CreditSale } = require('../src/models/Sale');
+const { parseArgs } = require('./args');
+
+// Matches a missing or null balance
+const NO_BALANCE = { outstandingBalance: null };
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const apply = Boolean(args.apply);
+
+  await connectDB();
+
+  const count = await CreditSale.countDocuments(NO_BALANCE);
+
+  if (apply && count) {
+    const paid = { $sum: { $ifNull: ['$payments.amount', []] } };
+    await CreditSale.collection.updateMany({ saleType: 'Credit', ...NO_BALANCE }, [
+      {
+        $set: {
+          outstandingBalance: {
+            $cond: ['$isPaid', 0, { $max: [{ $subtract: ['$amountDue', paid] }, 0] }],
+          },
+        },
+      },
+    ]);
+  }
+
+  console.log(`credit sales: ${count ? `${apply ? 'set' : 'would set'} the balance of ${count}` : 'nothing to set'}`);
+
+  if (!apply) {
+    console.log('Dry run: nothing was changed. Run with --apply to set the balances.');
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,111 @@
+/**
+ * Give a branch to procurements, sales and stock recorded before branches existed.
+ *
+ *   npm run migrate:branches                                report what would change
+ *   npm run migrate:branches -- --apply                     use the branch of the user who recorded each record
+ *   npm run migrate:branches -- --apply --branch=Maganjo    and this branch for records that still have none
+ *
+ * Records recorded by a user with a branch get that branch. Records whose user
+ * has no branch (managers, directors, deleted users) get --branch when it is
+ * given and are otherwise listed and left alone. Stock entries without a branch
+ * are merged into --branch. Records are updated directly, without their other
+ * validation, so older records that are missing other fields are still fixed.
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const User = require('../src/models/User');
+const Procurement = require('../src/models/Procurement');
+const Stock = require('../src/models/Stock');
+const { Sale } = require('../src/models/Sale');
+const { parseArgs } = require('./args');
+
+const BRANCHES = ['Maganjo', 'Matugga'];
+
+// Matches a missing, null or empty branch
+const NO_BRANCH = { branch: { $in: [null, ''] } };
+
+// Assign branches to one collection's records. Resolves to { assigned, unresolved }
+// where assigned counts records per branch and unresolved lists the rest by user.
+const assignBranches = async (Model, users, fallback, apply) => {
+  const groups = await Model.aggregate([
+    { $match: NO_BRANCH },
+    { $group: { _id: '$recordedBy', ids: { $push: '$_id' } } },
+  ]);
+
+  const assigned = {};
+  const unresolved = [];
+
+  for (const group of groups) {
+    const user = group._id && users.get(String(group._id));
+    const branch = (user && user.branch) || fallback;
+
+    if (!branch) {
+      unresolved.push({ recordedBy: user ? user.email : String(group._id), records: group.ids.length });
+      continue;
+    }
+
+    if (apply) {
+      await Model.collection.updateMany({ _id: { $in: group.ids } }, { $set: { branch } });
+    }
+    assigned[branch] = (assigned[branch] || 0) + group.ids.length;
+  }
+
+  return { assigned, unresolved };
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const apply = Boolean(args.apply);
+  const fallback = typeof args.branch === 'string' ? args.branch : undefined;
+
+  if (fallback && !BRANCHES.includes(fallback)) {
+    console.error(`--branch must be one of: ${BRANCHES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  const users = new Map((await User.find().select('email branch')).map((user) => [String(user._id), user]));
+
+  for (const [label, Model] of [['procurements', Procurement], ['sales', Sale]]) {
+    const { assigned, unresolved } = await assignBranches(Model, users, fallback, apply);
+    const counts = Object.entries(assigned).map(([branch, count]) => `${count} to ${branch}`);
+
+    console.log(`${label}: ${counts.length ? `${apply ? 'assigned' : 'would assign'} ${counts.join(', ')}` : 'nothing to assign'}`);
+    unresolved.forEach(({ recordedBy, records }) => {
+      console.log(`  ${records} recorded by ${recordedBy} have no branch to take; pass --branch to assign them`);
+    });
+  }
+
+  const orphanStock = await Stock.find(NO_BRANCH);
+  if (orphanStock.length) {
+    if (!fallback) {
+      console.log(`stock: ${orphanStock.length} entries have no branch; pass --branch to merge them into a branch`);
+    } else {
+      for (const stock of orphanStock) {
+        if (apply) {
+          await Stock.addStock(stock.produceName, fallback, stock.quantity);
+          await stock.deleteOne();
+        }
+      }
+      console.log(`stock: ${apply ? 'merged' : 'would merge'} ${orphanStock.length} entries into ${fallback}`);
+    }
+  }
+
+  if (!apply) {
+    console.log('Dry run: nothing was changed. Run with --apply to assign the branches.');
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
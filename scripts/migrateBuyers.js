@@ -0,0 +1,97 @@
+/**
+ * Register the buyers of credit sales recorded before the buyer registry existed.
+ *
+ *   npm run migrate:buyers             report what would change
+ *   npm run migrate:buyers -- --apply  register the buyers and link their sales
+ *
+ * Credit sales without a registered buyer are grouped by National ID. A buyer
+ * already registered under that NIN is linked to the sales; otherwise one is
+ * registered from the name, location and contact on the NIN's latest sale,
+ * with no credit limit. Buyers whose details do not pass validation are listed
+ * and left for registering by hand (POST /buyers); run it again afterwards to
+ * link their sales.
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Buyer = require('../src/models/Buyer');
+const { CreditSale } = require('../src/models/Sale');
+const { parseArgs } = require('./args');
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const apply = Boolean(args.apply);
+
+  await connectDB();
+
+  const groups = await CreditSale.aggregate([
+    { $match: { buyer: null } },
+    { $sort: { dispatchDate: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: '$nationalId',
+        buyerName: { $first: '$buyerName' },
+        location: { $first: '$location' },
+        contacts: { $first: '$contacts' },
+        sales: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  let linked = 0;
+  let registered = 0;
+  const failed = [];
+
+  for (const group of groups) {
+    let buyer = await Buyer.findOne({ nationalId: group._id });
+
+    if (!buyer) {
+      const candidate = new Buyer({
+        nationalId: group._id,
+        buyerName: group.buyerName,
+        location: group.location,
+        contacts: group.contacts,
+      });
+
+      try {
+        await candidate.validate();
+      } catch (error) {
+        failed.push({ nationalId: group._id, sales: group.sales, error: error.message });
+        continue;
+      }
+
+      buyer = apply ? await candidate.save() : candidate;
+      registered += 1;
+    }
+
+    if (apply) {
+      await CreditSale.collection.updateMany(
+        { saleType: 'Credit', nationalId: group._id, buyer: null },
+        { $set: { buyer: buyer._id } }
+      );
+    }
+    linked += group.sales;
+  }
+
+  console.log(`buyers: ${registered ? `${apply ? 'registered' : 'would register'} ${registered}` : 'nothing to register'}`);
+  console.log(`credit sales: ${linked ? `${apply ? 'linked' : 'would link'} ${linked} to their buyer` : 'nothing to link'}`);
+  failed.forEach(({ nationalId, sales, error }) => {
+    console.log(`  ${nationalId} (${sales} sales) cannot be registered: ${error}`);
+  });
+
+  if (!apply) {
+    console.log('Dry run: nothing was changed. Run with --apply to register the buyers.');
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
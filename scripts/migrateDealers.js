@@ -0,0 +1,88 @@
+/**
+ * Register the dealers of procurements recorded before the dealer registry existed.
+ *
+ *   npm run migrate:dealers             report what would change
+ *   npm run migrate:dealers -- --apply  register the dealers and link their procurements
+ *
+ * Procurements without a registered dealer are grouped by dealer name, ignoring
+ * case and surrounding spaces. A dealer already registered under that name is
+ * linked to the procurements; otherwise one is registered with the name and
+ * contact of the latest procurement from them. Dealers whose details do not
+ * pass validation are listed and left for registering by hand (POST /dealers);
+ * run it again afterwards to link their procurements.
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Dealer = require('../src/models/Dealer');
+const Procurement = require('../src/models/Procurement');
+const { parseArgs } = require('./args');
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const apply = Boolean(args.apply);
+
+  await connectDB();
+
+  const groups = await Procurement.aggregate([
+    { $match: { dealer: null } },
+    { $sort: { date: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$dealerName' } } },
+        name: { $first: { $trim: { input: '$dealerName' } } },
+        contact: { $first: '$contact' },
+        ids: { $push: '$_id' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  let linked = 0;
+  let registered = 0;
+  const failed = [];
+
+  for (const group of groups) {
+    let dealer = await Dealer.findByName(group.name);
+
+    if (!dealer) {
+      const candidate = new Dealer({ name: group.name, contact: group.contact });
+
+      try {
+        await candidate.validate();
+      } catch (error) {
+        failed.push({ name: group.name, procurements: group.ids.length, error: error.message });
+        continue;
+      }
+
+      dealer = apply ? await candidate.save() : candidate;
+      registered += 1;
+    }
+
+    if (apply) {
+      await Procurement.collection.updateMany({ _id: { $in: group.ids } }, { $set: { dealer: dealer._id } });
+    }
+    linked += group.ids.length;
+  }
+
+  console.log(`dealers: ${registered ? `${apply ? 'registered' : 'would register'} ${registered}` : 'nothing to register'}`);
+  console.log(`procurements: ${linked ? `${apply ? 'linked' : 'would link'} ${linked} to their dealer` : 'nothing to link'}`);
+  failed.forEach(({ name, procurements, error }) => {
+    console.log(`  ${name} (${procurements} procurements) cannot be registered: ${error}`);
+  });
+
+  if (!apply) {
+    console.log('Dry run: nothing was changed. Run with --apply to register the dealers.');
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,245 @@
+/**
+ * Link existing procurements, sales and stock to the produce catalog.
+ *
+ *   npm run migrate:produce                              report what would change
+ *   npm run migrate:produce -- --apply                   link the records that match
+ *   npm run migrate:produce -- --create-missing --apply  also add unmatched produce to the catalog
+ *   npm run migrate:produce -- --report=produce.json     write the report to a file as well
+ *
+ * Each produce name recorded as free text is matched to a catalog entry by its
+ * name or an alias, ignoring case and spacing, or by its singular/plural form
+ * ("Bean" for Beans). Matched records get the catalog's name and type, and stock
+ * held under a variant spelling is merged into the catalog name. Names that are
+ * only close to a catalog entry ("Beanz"), or that could be more than one, are
+ * listed as ambiguous and left alone: add the spelling as an alias of the right
+ * produce (PATCH /api/produce/:id) and run the migration again.
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Procurement = require('../src/models/Procurement');
+const Stock = require('../src/models/Stock');
+const { Sale, CashSale, CreditSale } = require('../src/models/Sale');
+const { Produce, aliasKey } = require('../src/models/Produce');
+const { parseArgs } = require('./args');
+
+// Edit distance at or under which a name is a possible, but unconfirmed, match
+const NEAR_MATCH_DISTANCE = 2;
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Singular and plural forms of a lower-case name: beans/bean, tomatoes/tomato, berries/berry
+const numberForms = (key) => {
+  const forms = [`${key}s`, `${key}es`];
+  if (key.endsWith('ies')) forms.push(`${key.slice(0, -3)}y`);
+  if (key.endsWith('es')) forms.push(key.slice(0, -2));
+  if (key.endsWith('s')) forms.push(key.slice(0, -1));
+  if (key.endsWith('y')) forms.push(`${key.slice(0, -1)}ies`);
+  return forms;
+};
+
+const titleCase = (value) => aliasKey(value).replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+
+// Every produce name in use, with how many records carry it and the types recorded for it
+const recordedNames = async () => {
+  const [procurements, sales, stock] = await Promise.all([
+    Procurement.aggregate([{ $group: { _id: '$produceName', count: { $sum: 1 }, types: { $addToSet: '$produceType' } } }]),
+    Sale.aggregate([{ $group: { _id: '$produceName', count: { $sum: 1 }, types: { $addToSet: '$produceType' } } }]),
+    Stock.aggregate([{ $group: { _id: '$produceName', count: { $sum: 1 } } }]),
+  ]);
+
+  const names = new Map();
+  const entry = (value) => {
+    if (!names.has(value)) {
+      names.set(value, { value, procurements: 0, sales: 0, stock: 0, types: new Set() });
+    }
+    return names.get(value);
+  };
+
+  procurements.forEach((row) => { entry(row._id).procurements = row.count; row.types.forEach((type) => entry(row._id).types.add(type)); });
+  sales.forEach((row) => { entry(row._id).sales = row.count; row.types.forEach((type) => type && entry(row._id).types.add(type)); });
+  stock.forEach((row) => { entry(row._id).stock = row.count; });
+
+  return [...names.values()].filter((name) => name.value);
+};
+
+// Decide what a recorded name maps to: { produce, how } when it is certain,
+// { candidates } when it needs review, or neither when nothing is close
+const matchName = (value, catalog) => {
+  const key = aliasKey(value);
+  const byKey = (candidate) => catalog.filter((produce) => [produce.name, ...produce.aliases].some((name) => aliasKey(name) === candidate));
+
+  const exact = byKey(key);
+  if (exact.length === 1) return { produce: exact[0], how: 'name' };
+
+  const plural = [...new Set(numberForms(key).flatMap(byKey))];
+  if (plural.length === 1 && !exact.length) return { produce: plural[0], how: 'singular/plural' };
+
+  const near = catalog
+    .map((produce) => ({
+      produce,
+      distance: Math.min(...[produce.name, ...produce.aliases].map((name) => levenshtein(key, aliasKey(name)))),
+    }))
+    .filter(({ distance }) => distance <= NEAR_MATCH_DISTANCE);
+
+  const candidates = [...new Set([...exact, ...plural, ...near.map(({ produce }) => produce)])];
+  return {
+    candidates: candidates.map((produce) => ({
+      id: produce._id,
+      name: produce.name,
+      distance: levenshtein(key, aliasKey(produce.name)),
+    })).sort((a, b) => a.distance - b.distance),
+  };
+};
+
+// Point every record under `value` at `produce`, and move its stock to the catalog name
+const linkRecords = async (value, produce) => {
+  const [procurements, cashSales, creditSales] = await Promise.all([
+    Procurement.updateMany({ produceName: value }, { $set: { produce: produce._id, produceName: produce.name, produceType: produce.type } }),
+    CashSale.updateMany({ produceName: value }, { $set: { produce: produce._id, produceName: produce.name } }),
+    CreditSale.updateMany({ produceName: value }, { $set: { produce: produce._id, produceName: produce.name, produceType: produce.type } }),
+  ]);
+
+  let stockMerged = 0;
+  if (value !== produce.name) {
+    for (const stock of await Stock.find({ produceName: value })) {
+      await Stock.addStock(produce.name, stock.branch, stock.quantity);
+      await stock.deleteOne();
+      stockMerged += 1;
+    }
+  }
+
+  return {
+    procurements: procurements.modifiedCount,
+    sales: cashSales.modifiedCount + creditSales.modifiedCount,
+    stockMerged,
+  };
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const apply = Boolean(args.apply);
+
+  await connectDB();
+  await Produce.init();
+
+  const catalog = await Produce.find();
+  const report = { generatedAt: new Date(), applied: apply, matched: [], ambiguous: [], unmatched: [], created: [] };
+
+  for (const name of await recordedNames()) {
+    const counts = { procurements: name.procurements, sales: name.sales, stock: name.stock };
+    const match = matchName(name.value, catalog);
+
+    if (match.produce) {
+      report.matched.push({ value: name.value, produce: match.produce.name, how: match.how, ...counts });
+    } else if (match.candidates.length) {
+      report.ambiguous.push({ value: name.value, candidates: match.candidates, ...counts });
+    } else {
+      report.unmatched.push({ value: name.value, types: [...name.types], ...counts });
+    }
+  }
+
+  // Unmatched names become catalog entries of their own, one per spelling ignoring case
+  if (args['create-missing']) {
+    const byKey = new Map();
+    report.unmatched.forEach((entry) => {
+      const key = aliasKey(entry.value);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(entry);
+    });
+
+    report.unmatched = [];
+
+    for (const entries of byKey.values()) {
+      const type = entries.flatMap((entry) => entry.types)[0] || 'Unclassified';
+      const name = titleCase(entries[0].value);
+      const produce = new Produce({ name, type });
+
+      // Names the catalog would refuse, e.g. with punctuation, stay unmatched
+      const invalid = produce.validateSync();
+      if (invalid) {
+        entries.forEach((entry) => report.unmatched.push({ ...entry, error: invalid.message }));
+        continue;
+      }
+
+      if (apply) {
+        await produce.save();
+        catalog.push(produce);
+      }
+
+      report.created.push({ name, type, from: entries.map((entry) => entry.value) });
+      entries.forEach((entry) => report.matched.push({ ...entry, produce: name, how: 'created' }));
+    }
+  }
+
+  if (apply) {
+    for (const entry of report.matched) {
+      const produce = catalog.find((candidate) => candidate.name === entry.produce);
+
+      // Keep plural and other spellings as aliases so they resolve from now on
+      if (aliasKey(entry.value) !== aliasKey(produce.name) && !produce.aliases.includes(aliasKey(entry.value))) {
+        produce.aliases = [...produce.aliases, entry.value];
+        await produce.save();
+      }
+
+      entry.linked = await linkRecords(entry.value, produce);
+    }
+  }
+
+  console.log(`${apply ? 'Linked' : 'Would link'} ${report.matched.length} produce name(s):`);
+  report.matched.forEach((entry) => {
+    console.log(`  ${entry.value} -> ${entry.produce} (${entry.how}; ${entry.procurements} procurements, ${entry.sales} sales, ${entry.stock} stock entries)`);
+  });
+
+  if (report.created.length) {
+    console.log(`${apply ? 'Added' : 'Would add'} ${report.created.length} catalog entries: ${report.created.map((entry) => entry.name).join(', ')}`);
+  }
+
+  if (report.ambiguous.length) {
+    console.log(`${report.ambiguous.length} ambiguous name(s) need review; add each as an alias of the right produce and run again:`);
+    report.ambiguous.forEach((entry) => {
+      console.log(`  ${entry.value}: could be ${entry.candidates.map((candidate) => candidate.name).join(' or ')}`);
+    });
+  }
+
+  if (report.unmatched.length) {
+    console.log(`${report.unmatched.length} name(s) match nothing in the catalog (use --create-missing to add them): ${report.unmatched.map((entry) => entry.value).join(', ')}`);
+  }
+
+  if (!apply) {
+    console.log('Dry run: nothing was changed. Run with --apply to link the matched records.');
+  }
+
+  if (args.report) {
+    fs.writeFileSync(args.report, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`Report written to ${args.report}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,303 @@
+/**
+ * Load demo users, the produce catalog, price lists, procurements, cash sales and credit sales for both branches.
+ *
+ *   npm run seed             seed an empty database
+ *   npm run seed -- --reset  drop the database first (refused when NODE_ENV=production)
+ *
+ * Every demo user's password is "password123". The data is the same on every
+ * run, and stock levels follow from the procurements and sales it creates.
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const User = require('../src/models/User');
+const Procurement = require('../src/models/Procurement');
+const Stock = require('../src/models/Stock');
+const Buyer = require('../src/models/Buyer');
+const Dealer = require('../src/models/Dealer');
+const { Produce } = require('../src/models/Produce');
+const Price = require('../src/models/Price');
+const { Sale, CashSale, CreditSale } = require('../src/models/Sale');
+const { parseArgs } = require('./args');
+
+const DEMO_PASSWORD = 'password123';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BRANCHES = ['Maganjo', 'Matugga'];
+
+const PRODUCE = [
+  { name: 'Beans', type: 'Legume', cost: 3200, price: 4500 },
+  { name: 'Maize', type: 'Cereal', cost: 1100, price: 1600 },
+  { name: 'Cowpeas', type: 'Legume', cost: 2800, price: 3900 },
+  { name: 'Groundnuts', type: 'Legume', cost: 5200, price: 7000 },
+  { name: 'Soybeans', type: 'Legume', cost: 2400, price: 3300 },
+];
+
+const DEALERS = ['Kato Traders', 'Nakato Farm Supplies', 'Mukono Growers', 'Wakiso Produce Co', 'Ssemwanga and Sons'];
+
+const BUYERS = [
+  { buyerName: 'Mama Rose Shop', nationalId: 'CF85012345ABCD', location: 'Kawempe', contacts: '0772100200', creditLimit: 5000000 },
+  { buyerName: 'Okello Wholesalers', nationalId: 'CM90011122EFGH', location: 'Bwaise', contacts: '0701300400', creditLimit: 10000000 },
+  { buyerName: 'St Marys School', nationalId: 'CM78033344IJKL', location: 'Kasangati', contacts: '0782500600', creditLimit: 8000000 },
+  { buyerName: 'Namuli Restaurant', nationalId: 'CF92055566MNOP', location: 'Gayaza', contacts: '0756700800' },
+];
+
+const CASH_BUYERS = ['Walk in Customer', 'Aisha Nansubuga', 'Peter Mugisha', 'Grace Atim', 'John Ssali'];
+
+// Small seeded generator so every run produces the same data
+const random = (() => {
+  let state = 20240601;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+})();
+
+const between = (min, max) => Math.floor(random() * (max - min + 1)) + min;
+const pick = (items) => items[between(0, items.length - 1)];
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+const timeOf = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const seedUsers = async () => {
+  const users = {
+    director: await User.create({
+      name: 'Grace Director', email: 'director@karibu.com', password: DEMO_PASSWORD,
+      phone: '0700000001', role: 'Director',
+    }),
+  };
+
+  for (const branch of BRANCHES) {
+    const slug = branch.toLowerCase();
+    users[branch] = {
+      manager: await User.create({
+        name: `${branch} Manager`, email: `manager.${slug}@karibu.com`, password: DEMO_PASSWORD,
+        phone: branch === 'Maganjo' ? '0700000002' : '0700000003', role: 'Manager', branch,
+      }),
+      agents: await User.create([1, 2].map((n) => ({
+        name: `${branch} Agent ${n}`, email: `agent${n}.${slug}@karibu.com`, password: DEMO_PASSWORD,
+        phone: `07000001${branch === 'Maganjo' ? 0 : 1}${n}`, role: 'Sales Agent', branch,
+      }))),
+    };
+  }
+
+  return users;
+};
+
+const seedDealers = (users) => Dealer.create(DEALERS.map((name, index) => ({
+  name,
+  contact: `07${String(20000000 + index * 1111111)}`,
+  location: pick(['Kampala', 'Mukono', 'Wakiso', 'Luweero']),
+  createdBy: users.Maganjo.manager._id,
+})));
+
+// Catalog entries, keyed by name, that procurements and sales are linked to
+const seedProduce = async (users) => {
+  const produce = await Produce.create(PRODUCE.map(({ name, type }) => ({
+    name, type, unit: 'kg', createdBy: users.Maganjo.manager._id,
+  })));
+  return Object.fromEntries(produce.map((entry) => [entry.name, entry]));
+};
+
+// Each branch's price list: an opening price before the oldest sale and a rise a month ago
+const seedPrices = async (users, catalog) => {
+  const prices = [];
+
+  for (const branch of BRANCHES) {
+    for (const produce of PRODUCE) {
+      [[160, produce.price], [30, produce.price + between(1, 4) * 100]].forEach(([days, price]) => {
+        prices.push({
+          produce: catalog[produce.name]._id,
+          produceName: produce.name,
+          branch,
+          price,
+          effectiveFrom: daysAgo(days),
+          setBy: users[branch].manager._id,
+        });
+      });
+    }
+  }
+
+  return Price.create(prices);
+};
+
+const seedProcurements = async (users, dealers, catalog) => {
+  let count = 0;
+
+  for (const branch of BRANCHES) {
+    for (const produce of PRODUCE) {
+      // Three deliveries per produce over the last three months, oldest first
+      for (const days of [85, 50, 20]) {
+        const date = daysAgo(days + between(0, 5));
+        const tonnage = between(10, 30) * 100;
+        const dealer = pick(dealers);
+
+        await Procurement.create({
+          produce: catalog[produce.name]._id,
+          produceName: produce.name,
+          produceType: produce.type,
+          date,
+          time: timeOf(date),
+          tonnage,
+          cost: tonnage * (produce.cost + between(-200, 200)),
+          dealer: dealer._id,
+          dealerName: dealer.name,
+          branch,
+          contact: dealer.contact,
+          sellingPrice: produce.price + between(0, 4) * 100,
+          recordedBy: users[branch].manager._id,
+        });
+        await Stock.addStock(produce.name, branch, tonnage);
+        count += 1;
+      }
+    }
+  }
+
+  return count;
+};
+
+// Draw stock and price the sale exactly as the sales routes do
+const saleBasics = async (branch, produce, tonnage, catalog, at) => {
+  const price = await Price.priceInForce(produce.name, branch, at);
+  const stock = await Stock.drawStock(produce.name, branch, tonnage);
+  if (!price || !stock) return null;
+
+  const { unitPrice, priceEntry } = price;
+  return {
+    branch, produce: catalog[produce.name]._id, produceName: produce.name, tonnage,
+    unitPrice, expectedAmount: unitPrice * tonnage, priceEntry,
+  };
+};
+
+const seedCashSales = async (users, catalog) => {
+  let count = 0;
+
+  for (const branch of BRANCHES) {
+    for (let i = 0; i < 20; i += 1) {
+      const agent = pick(users[branch].agents);
+      const date = daysAgo(between(0, 18));
+      const basics = await saleBasics(branch, pick(PRODUCE), between(5, 40) * 10, catalog, date);
+      if (!basics) continue;
+
+      const sale = await CashSale.create({
+        ...basics,
+        amountPaid: basics.expectedAmount,
+        buyerName: pick(CASH_BUYERS),
+        salesAgentName: agent.name,
+        date,
+        time: timeOf(date),
+        recordedBy: agent._id,
+      });
+      await CashSale.assignReceiptNumber(sale);
+      count += 1;
+    }
+  }
+
+  return count;
+};
+
+const seedBuyers = (users) => Buyer.create(BUYERS.map((buyer) => ({
+  ...buyer,
+  createdBy: users.Maganjo.manager._id,
+  ...(buyer.creditLimit && { creditLimitSetBy: users.Maganjo.manager._id, creditLimitSetAt: daysAgo(120) }),
+})));
+
+const seedCreditSales = async (users, buyers, catalog) => {
+  let count = 0;
+
+  // Due dates from well overdue to not yet due, so the aging report has every bucket
+  const dueInDays = [-120, -75, -45, -20, -5, 10, 25];
+
+  for (const branch of BRANCHES) {
+    for (const [index, dueIn] of dueInDays.entries()) {
+      const agent = pick(users[branch].agents);
+      const produce = pick(PRODUCE);
+      const dispatchDate = daysAgo(30 - dueIn);
+      const basics = await saleBasics(branch, produce, between(10, 50) * 10, catalog, dispatchDate);
+      if (!basics) continue;
+
+      const buyer = buyers[(index + (branch === 'Matugga' ? 1 : 0)) % buyers.length];
+      const sale = await CreditSale.create({
+        ...basics,
+        buyer: buyer._id,
+        buyerName: buyer.buyerName,
+        nationalId: buyer.nationalId,
+        location: buyer.location,
+        contacts: buyer.contacts,
+        amountDue: basics.expectedAmount,
+        salesAgentName: agent.name,
+        dueDate: daysAgo(-dueIn),
+        dispatchDate,
+        produceType: produce.type,
+        recordedBy: agent._id,
+      });
+
+      // Some buyers have paid part of what they owe, one has paid in full
+      const paid = index === 3 ? sale.amountDue : (index % 2 === 0 ? Math.round(sale.amountDue * 0.4) : 0);
+      if (paid > 0) {
+        await CreditSale.recordPayment(sale, {
+          amount: paid,
+          method: pick(['Cash', 'Mobile Money', 'Bank Transfer']),
+          receivedBy: users[branch].manager._id,
+          date: daysAgo(Math.max(-dueIn, 1)),
+          reference: `DEMO${between(1000, 9999)}`,
+        });
+      }
+      count += 1;
+    }
+  }
+
+  return count;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  if (args.reset) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('Refusing to reset the database when NODE_ENV=production.');
+      process.exitCode = 1;
+      return;
+    }
+
+    await mongoose.connection.dropDatabase();
+    console.log(`Dropped database ${mongoose.connection.name}`);
+  } else if (await User.exists({}) || await Procurement.exists({}) || await Sale.exists({})) {
+    console.error('The database already has data. Run with --reset to drop it first.');
+    process.exitCode = 1;
+    return;
+  }
+
+  // Indexes (unique emails, NINs, dealer and produce names, one stock entry per produce and branch) before inserting
+  await Promise.all([User.init(), Stock.init(), Buyer.init(), Dealer.init(), Produce.init(), Price.init()]);
+
+  const users = await seedUsers();
+  const catalog = await seedProduce(users);
+  const prices = await seedPrices(users, catalog);
+  const dealers = await seedDealers(users);
+  const procurements = await seedProcurements(users, dealers, catalog);
+  const cashSales = await seedCashSales(users, catalog);
+  const buyers = await seedBuyers(users);
+  const creditSales = await seedCreditSales(users, buyers, catalog);
+
+  console.log(`Seeded ${PRODUCE.length} produce, ${prices.length} prices, ${dealers.length} dealers, ${procurements} procurements, ${cashSales} cash sales, ${buyers.length} buyers and ${creditSales} credit sales.`);
+  console.log(`Demo logins (password "${DEMO_PASSWORD}"):`);
+  console.log('  director@karibu.com');
+  BRANCHES.forEach((branch) => {
+    const { manager, agents } = users[branch];
+    console.log(`  ${[manager, ...agents].map((user) => user.email).join(', ')}`);
+  });
+};
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,9 +7,30 @@ const swaggerUi = require('swagger-ui-express');
 const procurementRoutes = require('./routes/procurementRoutes');
 const salesRoutes = require('./routes/salesRoutes');
 const userRoutes = require('./routes/userRoutes');
+const stockRoutes = require('./routes/stockRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const dashboardRoutes = require('./routes/dashboardRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const buyerRoutes = require('./routes/buyerRoutes');
+const dealerRoutes = require('./routes/dealerRoutes');
+const cashCloseRoutes = require('./routes/cashCloseRoutes');
+const produceRoutes = require('./routes/produceRoutes');
+const priceRoutes = require('./routes/priceRoutes');
+const { auditTrail } = require('./middleware/audit');
 
 const app = express();
 
+// Reverse proxies in front of the app, so req.ip (used in the audit log and
+// login throttling) is the client's address rather than the proxy's. TRUST_PROXY
+// is a hop count such as 1, addresses or subnets such as loopback,10.0.0.0/8,
+// or true; unset trusts none.
+const trustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -50,6 +71,15 @@ const swaggerOptions = {
           bearerFormat: 'JWT',
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', maxLength: 255 },
+          description: 'Unique key for this request, e.g. a UUID. Retrying with the same key returns the stored response (with an Idempotent-Replayed: true header) instead of recording it again; reusing the key for a different request returns 422.',
+        },
+      },
     },
   },
   apis: ['./src/routes/*.js'],
@@ -59,9 +89,18 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
 // Routes
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-app.use('/api/procurement', procurementRoutes);
-app.use('/api/sales', salesRoutes);
-app.use('/api/users', userRoutes);
+app.use('/api/procurement', auditTrail, procurementRoutes);
+app.use('/api/sales', auditTrail, salesRoutes);
+app.use('/api/users', auditTrail, userRoutes);
+app.use('/api/stock', stockRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/buyers', auditTrail, buyerRoutes);
+app.use('/api/dealers', auditTrail, dealerRoutes);
+app.use('/api/cash-closes', auditTrail, cashCloseRoutes);
+app.use('/api/produce', auditTrail, produceRoutes);
+app.use('/api/prices', auditTrail, priceRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
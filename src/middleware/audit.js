@@ -0,0 +1,102 @@
+const AuditLog = require('../models/AuditLog');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Never written to the audit log, at any depth
+const SECRET_FIELDS = /password|token/i;
+
+// Bookkeeping fields that change on every save and say nothing about the action
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'revisions'];
+
+const toPlain = (value) => {
+  if (value === undefined || value === null) return value;
+  return JSON.parse(JSON.stringify(value));
+};
+
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      if (!SECRET_FIELDS.test(key)) {
+        result[key] = redact(value[key]);
+      }
+    });
+    return result;
+  }
+
+  return value;
+};
+
+// Top-level fields that differ between the two snapshots, as { field: { before, after } }
+const diff = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+
+    const previous = before ? before[key] : undefined;
+    const current = after ? after[key] : undefined;
+
+    if (JSON.stringify(previous) !== JSON.stringify(current)) {
+      changes[key] = { before: previous, after: current };
+    }
+  });
+
+  return changes;
+};
+
+// Handlers that change an existing document call this with it before
+// changing anything, so the log can show what the action replaced.
+const auditBefore = (res, doc) => {
+  res.locals.auditBefore = toPlain(doc);
+};
+
+// Write an audit entry for every POST/PUT/PATCH/DELETE once the response is
+// sent. The document state after the action is taken from res.locals.auditAfter
+// when a handler sets it, otherwise from the `data` of the JSON response.
+const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const baseUrl = req.baseUrl;
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    res.locals.auditBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const body = res.locals.auditBody || {};
+    const before = res.locals.auditBefore;
+    const after = toPlain(res.locals.auditAfter || (body.data && typeof body.data === 'object' ? body.data : undefined));
+    const success = res.statusCode < 400;
+
+    const actor = res.locals.auditActor || (req.user && req.user._id);
+    const routePath = req.route ? req.route.path : req.path;
+
+    AuditLog.create({
+      actor,
+      actorEmail: (req.user && req.user.email) || (req.body && typeof req.body.email === 'string' ? req.body.email : undefined),
+      action: `${req.method} ${baseUrl}${routePath === '/' ? '' : routePath}`,
+      method: req.method,
+      path: req.originalUrl,
+      targetId: (req.params && req.params.id) || (after && after._id) || undefined,
+      statusCode: res.statusCode,
+      success,
+      changes: success ? redact(diff(before, after)) : {},
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    }).catch((error) => console.error('Audit log write failed:', error));
+  });
+
+  next();
+};
+
+module.exports = { auditTrail, auditBefore };
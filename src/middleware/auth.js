@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const protect = async (req, res, next) => {
   let token;
@@ -19,6 +20,18 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ error: 'User not found' });
       }
 
+      if (!req.user.isActive) {
+        return res.status(401).json({ error: 'Account is deactivated' });
+      }
+
+      // Tokens without a session cannot be revoked, so they are not accepted
+      const session = decoded.sid && await Session.findById(decoded.sid);
+      if (!session || !session.isActive() || !session.user.equals(req.user._id)) {
+        return res.status(401).json({ error: 'Session has ended, please log in again' });
+      }
+
+      req.authSession = session;
+
       next();
     } catch (error) {
       console.error(error);
@@ -31,9 +44,16 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Roles from lowest to highest. A role is allowed anything the roles below it are.
+const ROLE_HIERARCHY = ['Sales Agent', 'Manager', 'Director'];
+
+const roleRank = (role) => ROLE_HIERARCHY.indexOf(role);
+
 const authorize = (...roles) => {
+  const minimumRank = Math.min(...roles.map(roleRank).filter((rank) => rank >= 0));
+
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!roles.includes(req.user.role) && !(roleRank(req.user.role) >= minimumRank)) {
       return res.status(403).json({ 
         error: `User role ${req.user.role} is not authorized to access this route` 
       });
@@ -42,4 +62,15 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+// Roles that may read and record data for every branch. Everyone else only
+// sees records belonging to their own branch.
+const CROSS_BRANCH_ROLES = ['Manager', 'Director'];
+
+const canAccessAllBranches = (user) => CROSS_BRANCH_ROLES.includes(user.role);
+
+// Query conditions restricting a find to the branches the user may see
+const branchFilter = (user) => {
+  return canAccessAllBranches(user) ? {} : { branch: user.branch };
+};
+
+module.exports = { protect, authorize, roleRank, canAccessAllBranches, branchFilter };
\ No newline at end of file
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Answers that may change if the same request is sent again: server errors and
+// conflicts with the current state (not enough stock, a buyer's credit being
+// decided, a request in progress). These are not stored, so a retry is processed.
+const isRetryable = (status) => status >= 500 || status === 409 || status === 429;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const requestHash = (req, endpoint) => sha256(canonical({
+  endpoint,
+  query: req.query || {},
+  body: req.body || {},
+  file: req.file ? sha256(req.file.buffer) : null,
+}));
+
+// The stored record for this key, claiming it for this request when there is none.
+// Resolves to { record, claimed }.
+const claimKey = async (fields) => {
+  try {
+    return { record: await IdempotencyKey.create(fields), claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Take the key over in one update when it has expired (expired keys are removed
+  // in the background, so one may outlive its window briefly), or when the same
+  // request holding it stopped without settling it and its lock has run out
+  const now = new Date();
+  const reclaimed = await IdempotencyKey.findOneAndUpdate(
+    {
+      user: fields.user,
+      key: fields.key,
+      $or: [
+        { expiresAt: { $lte: now } },
+        { status: 'Processing', requestHash: fields.requestHash, lockedUntil: { $not: { $gt: now } } },
+      ],
+    },
+    {
+      $set: {
+        ...fields,
+        status: 'Processing',
+        lockedUntil: new Date(now.getTime() + IdempotencyKey.lockSeconds() * 1000),
+        expiresAt: new Date(now.getTime() + IdempotencyKey.expiryHours() * HOUR_MS),
+      },
+      $unset: { responseStatus: 1, responseBody: 1 },
+    },
+    { new: true }
+  );
+  if (reclaimed) {
+    return { record: reclaimed, claimed: true };
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: fields.user, key: fields.key });
+  if (!existing) {
+    // Removed since the create failed; claim it afresh
+    return claimKey(fields);
+  }
+
+  return { record: existing, claimed: false };
+};
+
+// Honour an Idempotency-Key header on a create route. The first request with a
+// key is processed and its response stored; repeating the request with the same
+// key returns the stored response instead of creating the record again. The
+// same key with a different request is refused with 422. Server errors and
+// conflicts are not stored, so the request can be retried with the same key. Requests without the
+// header are processed as usual. A request that ends without a JSON response
+// still settles its key, and one that dies holding it releases it when its lock
+// runs out (IDEMPOTENCY_KEY_LOCK_SECONDS). Goes after protect (keys are per user) and
+// after any upload middleware (the uploaded file is part of the request).
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const hash = requestHash(req, endpoint);
+    const { record, claimed } = await claimKey({ key, user: req.user._id, endpoint, requestHash: hash });
+
+    if (!claimed) {
+      if (record.requestHash !== hash) {
+        return res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+      }
+
+      if (record.status === 'Processing') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed; retry shortly' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // The key is only settled while this request still holds it: its lock is the
+    // lease, and a retry that reclaimed the key after the lock ran out holds a new one
+    const held = { _id: record._id, status: 'Processing', lockedUntil: record.lockedUntil };
+
+    let settled = false;
+    const settle = async (body) => {
+      settled = true;
+      try {
+        const saved = isRetryable(res.statusCode)
+          ? await IdempotencyKey.deleteOne(held)
+          : await IdempotencyKey.updateOne(held, {
+            $set: { status: 'Completed', responseStatus: res.statusCode, responseBody: body },
+            $unset: { lockedUntil: 1 },
+          });
+        if (!saved.deletedCount && !saved.matchedCount) {
+          console.error(`Idempotency key ${record._id} was reclaimed before ${endpoint} finished; its response was not stored`);
+        }
+      } catch (error) {
+        console.error('Idempotency key write failed:', error);
+      }
+    };
+
+    // Store the response before sending it, so a retry that arrives as soon as
+    // the client sees it is answered from the store
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settle(JSON.parse(JSON.stringify(body))).then(() => json(body));
+      return res;
+    };
+
+    // A response sent some other way is settled once it has gone. One cut off by
+    // the client is left to the handler, which may still answer, or to the lock.
+    res.on('close', () => {
+      if (!settled && res.writableFinished) {
+        settle(null);
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One entry per mutating request, successful or not
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  actorEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+  },
+  method: {
+    type: String,
+    required: true,
+    enum: ['POST', 'PUT', 'PATCH', 'DELETE'],
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  targetId: {
+    type: String,
+  },
+  statusCode: {
+    type: Number,
+  },
+  success: {
+    type: Boolean,
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ targetId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
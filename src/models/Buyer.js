@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const CREDIT_LOCK_MS = 30 * 1000;
+
+// A registered credit buyer, identified by their National ID Number
+const buyerSchema = new mongoose.Schema({
+  nationalId: {
+    type: String,
+    required: [true, 'National ID is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{10,15}$/, 'Please enter a valid NIN'],
+  },
+  buyerName: {
+    type: String,
+    required: [true, 'Buyer name is required'],
+    trim: true,
+    minlength: [2, 'Buyer name must be at least 2 characters'],
+    match: [/^[a-zA-Z0-9\s]+$/, 'Buyer name must be alphanumeric'],
+  },
+  location: {
+    type: String,
+    required: [true, 'Location is required'],
+    trim: true,
+    minlength: [2, 'Location must be at least 2 characters'],
+    match: [/^[a-zA-Z0-9\s]+$/, 'Location must be alphanumeric'],
+  },
+  contacts: {
+    type: String,
+    required: [true, 'Contact number is required'],
+    match: [/^[0-9]{10,12}$/, 'Please enter a valid phone number'],
+  },
+  // Most the buyer may owe across all unpaid credit sales; no limit when unset
+  creditLimit: {
+    type: Number,
+    min: [0, 'Credit limit cannot be negative'],
+    default: null,
+  },
+  creditLimitSetBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  creditLimitSetAt: {
+    type: Date,
+  },
+  // Inactive buyers keep their history but cannot take new credit
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Held while a credit decision for the buyer is being made; see lockCredit
+  creditLockedUntil: {
+    type: Date,
+    select: false,
+  },
+}, {
+  timestamps: true,
+});
+
+buyerSchema.index({ buyerName: 1 });
+
+// Credit for one buyer is granted one decision at a time, so two sales cannot
+// both pass the limit check against the same outstanding amount. Takes a short
+// lease that outlives a crashed request by at most CREDIT_LOCK_MS. Resolves to
+// the lease to pass to unlockCredit, or null while another decision holds it.
+buyerSchema.statics.lockCredit = async function(buyerId) {
+  const now = new Date();
+  const lease = new Date(now.getTime() + CREDIT_LOCK_MS);
+
+  const locked = await this.updateOne(
+    { _id: buyerId, $or: [{ creditLockedUntil: null }, { creditLockedUntil: { $lte: now } }] },
+    { $set: { creditLockedUntil: lease } }
+  );
+
+  return locked.modifiedCount ? lease : null;
+};
+
+// Release a lease taken by lockCredit, unless it has expired and been taken over
+buyerSchema.statics.unlockCredit = function(buyerId, lease) {
+  return this.updateOne({ _id: buyerId, creditLockedUntil: lease }, { $unset: { creditLockedUntil: 1 } });
+};
+
+module.exports = mongoose.model('Buyer', buyerSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const { CashSale, CreditSale } = require('./Sale');
+const { notVoided } = require('./plugins/revisable');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// The business day a moment falls on, as YYYY-MM-DD. Days run in UTC, as in the
+// date filters of lists and reports, whatever the server's time zone.
+const dayOf = (date) => {
+  const value = new Date(date);
+  return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+};
+
+// First and last moment of a YYYY-MM-DD business day
+const dayBounds = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, month - 1, date)),
+    end: new Date(Date.UTC(year, month - 1, date, 23, 59, 59, 999)),
+  };
+};
+
+// One sales agent's end-of-day cash declaration for one day at one branch
+const cashCloseSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  branch: {
+    type: String,
+    required: [true, 'Branch is required'],
+    enum: {
+      values: ['Maganjo', 'Matugga'],
+      message: 'Branch must be either Maganjo or Matugga',
+    },
+  },
+  day: {
+    type: String,
+    required: [true, 'Day is required'],
+    match: [DAY_PATTERN, 'Day must be YYYY-MM-DD'],
+  },
+  declaredCash: {
+    type: Number,
+    required: [true, 'Declared cash is required'],
+    min: [0, 'Declared cash cannot be negative'],
+  },
+  // What the records say the agent took in cash that day
+  expected: {
+    cashSales: { type: Number, default: 0 },
+    cashSalesCount: { type: Number, default: 0 },
+    creditRepayments: { type: Number, default: 0 },
+    creditRepaymentsCount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  // Repayments by mobile money, bank transfer or cheque, which are not in the cash drawer
+  nonCashRepayments: {
+    type: Number,
+    default: 0,
+  },
+  // Declared minus expected: negative is a shortage, positive an overage
+  variance: {
+    type: Number,
+    default: 0,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Signed Off', 'Rejected'],
+    default: 'Pending',
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+cashCloseSchema.index({ agent: 1, day: 1 }, { unique: true });
+cashCloseSchema.index({ branch: 1, day: -1 });
+
+// Cash the records say an agent took on a day: their cash sales plus the
+// credit repayments they received in cash
+cashCloseSchema.statics.expectedCash = async function(agentId, branch, day) {
+  const { start, end } = dayBounds(day);
+  const agent = new mongoose.Types.ObjectId(String(agentId));
+
+  const [sales, repayments] = await Promise.all([
+    CashSale.aggregate([
+      { $match: { recordedBy: agent, branch, date: { $gte: start, $lte: end }, ...notVoided } },
+      { $group: { _id: null, amount: { $sum: '$amountPaid' }, count: { $sum: 1 } } },
+    ]),
+    CreditSale.aggregate([
+      { $match: { branch, 'payments.receivedBy': agent, ...notVoided } },
+      { $unwind: '$payments' },
+      { $match: { 'payments.receivedBy': agent, 'payments.date': { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: { $eq: ['$payments.method', 'Cash'] },
+          amount: { $sum: '$payments.amount' },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const cash = repayments.find((row) => row._id === true);
+  const nonCash = repayments.find((row) => row._id === false);
+  const cashSales = sales[0] ? sales[0].amount : 0;
+  const creditRepayments = cash ? cash.amount : 0;
+
+  return {
+    expected: {
+      cashSales,
+      cashSalesCount: sales[0] ? sales[0].count : 0,
+      creditRepayments,
+      creditRepaymentsCount: cash ? cash.count : 0,
+      total: cashSales + creditRepayments,
+    },
+    nonCashRepayments: nonCash ? nonCash.amount : 0,
+  };
+};
+
+// Whether a user has closed the day a moment falls on. A rejected close
+// reopens the day so the agent can correct it and declare again.
+cashCloseSchema.statics.isDayClosed = async function(userId, date) {
+  return Boolean(await this.exists({ agent: userId, day: dayOf(date), status: { $ne: 'Rejected' } }));
+};
+
+const CashClose = mongoose.model('CashClose', cashCloseSchema);
+
+module.exports = { CashClose, dayOf, dayBounds, DAY_PATTERN };
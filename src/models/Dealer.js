@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Dealer names are compared ignoring case, so "Kato Traders" and "kato traders" are one dealer
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// A registered supplier that produce is procured from
+const dealerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Dealer name is required'],
+    trim: true,
+    minlength: [2, 'Dealer name must be at least 2 characters'],
+    match: [/^[a-zA-Z0-9\s]+$/, 'Dealer name must be alphanumeric'],
+  },
+  contact: {
+    type: String,
+    required: [true, 'Contact number is required'],
+    match: [/^[0-9]{10,12}$/, 'Please enter a valid phone number'],
+  },
+  location: {
+    type: String,
+    trim: true,
+    match: [/^[a-zA-Z0-9\s]*$/, 'Location must be alphanumeric'],
+  },
+  // Inactive dealers keep their history but cannot be procured from
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+dealerSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Find a dealer by name, ignoring case
+dealerSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).trim() }).collation(NAME_COLLATION);
+};
+
+module.exports = mongoose.model('Dealer', dealerSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Read per call so the windows can be tuned from the environment
+const expiryHours = () => Number(process.env.IDEMPOTENCY_KEY_EXPIRE_HOURS) || 24;
+const lockSeconds = () => Number(process.env.IDEMPOTENCY_KEY_LOCK_SECONDS) || 60;
+
+// A client-chosen Idempotency-Key and the response its first request got, so
+// a retried request is answered from here instead of being processed again
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // e.g. "POST /api/sales/cash"
+  endpoint: {
+    type: String,
+    required: true,
+  },
+  // Hash of the endpoint, query and body, to tell a replay from a reused key
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['Processing', 'Completed'],
+    default: 'Processing',
+  },
+  responseStatus: {
+    type: Number,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // While Processing, how long the request holding the key has to finish. A
+  // request that died without settling its key leaves it to be reclaimed after.
+  lockedUntil: {
+    type: Date,
+    default: () => new Date(Date.now() + lockSeconds() * 1000),
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + expiryHours() * HOUR_MS),
+  },
+}, {
+  timestamps: true,
+});
+
+// Keys belong to the user who sent them, so clients cannot collide with each other
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+idempotencyKeySchema.statics.expiryHours = expiryHours;
+idempotencyKeySchema.statics.lockSeconds = lockSeconds;
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Permanent record of each time an account or IP address was locked out
+const lockoutEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['account', 'ip'],
+  },
+  // The email address or IP address that was locked
+  subject: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  failures: {
+    type: Number,
+    required: true,
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+    required: true,
+  },
+  unlockedAt: {
+    type: Date,
+  },
+  unlockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+lockoutEventSchema.index({ lockedAt: -1 });
+
+module.exports = mongoose.model('LockoutEvent', lockoutEventSchema);
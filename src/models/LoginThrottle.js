@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const LockoutEvent = require('./LockoutEvent');
+
+const MINUTE_MS = 60 * 1000;
+
+// Limits are read per call so they can be tuned from the environment
+const limits = () => ({
+  // Failures allowed before each further attempt has to wait
+  delayAfter: Number(process.env.LOGIN_DELAY_AFTER) || 3,
+  maxDelaySeconds: Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 60,
+  account: Number(process.env.LOGIN_MAX_FAILURES_ACCOUNT) || 5,
+  ip: Number(process.env.LOGIN_MAX_FAILURES_IP) || 20,
+  lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 15,
+  // Failures older than this are forgotten
+  windowMinutes: Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+});
+
+// Failed login attempts for one email address or one IP address
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['account', 'ip'],
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const throttleKey = (type, subject) => `${type}:${String(subject).toLowerCase()}`;
+
+// Seconds until this throttle lets another attempt through (0 when it does)
+loginThrottleSchema.methods.retryAfter = function(now = new Date()) {
+  if (this.expiresAt <= now) return 0;
+
+  if (this.lockedUntil && this.lockedUntil > now) {
+    return Math.ceil((this.lockedUntil - now) / 1000);
+  }
+
+  const { delayAfter, maxDelaySeconds } = limits();
+  if (this.failures < delayAfter || !this.lastFailureAt) return 0;
+
+  // 1s, 2s, 4s ... after each failure beyond the free ones
+  const delaySeconds = Math.min(2 ** (this.failures - delayAfter), maxDelaySeconds);
+  const allowedAt = this.lastFailureAt.getTime() + delaySeconds * 1000;
+
+  return Math.max(Math.ceil((allowedAt - now) / 1000), 0);
+};
+
+// Longest wait across the given subjects, e.g. [['account', email], ['ip', req.ip]]
+loginThrottleSchema.statics.retryAfter = async function(subjects) {
+  const throttles = await this.find({ key: { $in: subjects.map(([type, subject]) => throttleKey(type, subject)) } });
+  const now = new Date();
+
+  return throttles.reduce((longest, throttle) => Math.max(longest, throttle.retryAfter(now)), 0);
+};
+
+// Add one failure to a subject's count in a single update, so parallel attempts
+// are all counted. Resolves to the throttle after the update.
+const countFailure = async (Model, type, key, now, windowEnd) => {
+  // Expired throttles are removed in the background, so one may outlive its window briefly
+  await Model.deleteOne({ key, expiresAt: { $lte: now } });
+
+  const update = () => Model.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now },
+      $max: { expiresAt: windowEnd },
+      $setOnInsert: { type },
+    },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await update();
+  } catch (error) {
+    // Two first failures may both try to create the throttle; the loser adds to the winner's
+    if (error.code !== 11000) throw error;
+    return update();
+  }
+};
+
+// Count a failed attempt against each subject, locking any that reach their limit
+loginThrottleSchema.statics.recordFailure = async function(subjects, user) {
+  const settings = limits();
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + settings.windowMinutes * MINUTE_MS);
+
+  await Promise.all(subjects.map(async ([type, subject]) => {
+    const throttle = await countFailure(this, type, throttleKey(type, subject), now, windowEnd);
+
+    if (throttle.failures < settings[type]) return;
+
+    // Only the attempt that resets the count locks the subject and records the lockout
+    const lockedUntil = new Date(now.getTime() + settings.lockMinutes * MINUTE_MS);
+    const locked = await this.updateOne(
+      { _id: throttle._id, failures: { $gte: settings[type] } },
+      { $set: { failures: 0, lockedUntil, expiresAt: lockedUntil } }
+    );
+
+    if (locked.modifiedCount) {
+      await LockoutEvent.create({
+        type,
+        subject: String(subject).toLowerCase(),
+        user: type === 'account' && user ? user._id : undefined,
+        failures: throttle.failures,
+        lockedAt: now,
+        lockedUntil,
+      });
+    }
+  }));
+};
+
+// Forget failures for a subject, e.g. after a successful login or a manual unlock
+loginThrottleSchema.statics.clear = function(type, subject) {
+  return this.deleteOne({ key: throttleKey(type, subject) });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Procurement = require('./Procurement');
+
+// A selling price per kg for one produce at one branch, in force from
+// `effectiveFrom` until the next price for the same produce and branch.
+// Entries are never edited, so together they are the price history.
+const priceSchema = new mongoose.Schema({
+  produce: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Produce',
+    required: true,
+  },
+  produceName: {
+    type: String,
+    required: [true, 'Produce name is required'],
+    trim: true,
+  },
+  branch: {
+    type: String,
+    required: [true, 'Branch is required'],
+    enum: {
+      values: ['Maganjo', 'Matugga'],
+      message: 'Branch must be either Maganjo or Matugga',
+    },
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [1000, 'Selling price must be at least 1,000 UgX'],
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective-from date is required'],
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+priceSchema.index({ produceName: 1, branch: 1, effectiveFrom: -1 }, { unique: true });
+
+/**
+ * The selling price per kg of a produce at a branch at a given moment.
+ * Resolves to { unitPrice, source, priceEntry, effectiveFrom }, where source
+ * is 'price list', or 'procurement' for produce that has no price list entry
+ * in force yet and is priced from its latest procurement instead. Resolves to
+ * null when neither has a price.
+ */
+priceSchema.statics.priceInForce = async function(produceName, branch, at = new Date()) {
+  const entry = await this.findOne({ produceName: produceName.trim(), branch, effectiveFrom: { $lte: at } })
+    .sort({ effectiveFrom: -1 });
+
+  if (entry) {
+    return { unitPrice: entry.price, source: 'price list', priceEntry: entry._id, effectiveFrom: entry.effectiveFrom };
+  }
+
+  const procured = await Procurement.sellingPriceAt(produceName, branch, at);
+  return procured && { unitPrice: procured.sellingPrice, source: 'procurement', priceEntry: null, effectiveFrom: procured.date };
+};
+
+module.exports = mongoose.model('Price', priceSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
+const { revisable, notVoided } = require('./plugins/revisable');
 
 const procurementSchema = new mongoose.Schema({
+  // Catalog entry; produceName and produceType are copied from it
+  produce: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Produce',
+  },
   produceName: {
     type: String,
     required: [true, 'Produce name is required'],
@@ -43,6 +49,12 @@ const procurementSchema = new mongoose.Schema({
     required: [true, 'Cost is required'],
     min: [10000, 'Cost must be at least 10,000 UgX'],
   },
+  // The registered dealer; dealerName and contact are copied from the
+  // registry when the procurement is recorded
+  dealer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dealer',
+  },
   dealerName: {
     type: String,
     required: [true, 'Dealer name is required'],
@@ -79,4 +91,16 @@ const procurementSchema = new mongoose.Schema({
   },
 });
 
+procurementSchema.plugin(revisable);
+
+procurementSchema.index({ dealer: 1, date: 1 });
+
+// The latest procurement of a produce at a branch on or before `at`, with its
+// selling price per kg. Used for produce that has no price list entry yet.
+procurementSchema.statics.sellingPriceAt = function(produceName, branch, at = new Date()) {
+  return this.findOne({ produceName: produceName.trim(), branch, date: { $lte: at }, ...notVoided })
+    .sort({ date: -1, createdAt: -1 })
+    .select('sellingPrice date');
+};
+
 module.exports = mongoose.model('Procurement', procurementSchema);
\ No newline at end of file
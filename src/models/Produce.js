@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const PRODUCE_UNITS = ['kg', 'bag', 'crate', 'bunch'];
+
+// Produce names are compared ignoring case, so "Beans" and "beans" are one product
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Lower case with single spaces, the form aliases are stored and looked up in
+const aliasKey = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// An entry in the produce catalog that procurement and sales are recorded against
+const produceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Produce name is required'],
+    trim: true,
+    match: [/^[a-zA-Z0-9\s]+$/, 'Produce name must be alphanumeric'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Produce type is required'],
+    trim: true,
+    minlength: [2, 'Produce type must be at least 2 characters'],
+    match: [/^[a-zA-Z\s]+$/, 'Produce type must contain only letters'],
+  },
+  unit: {
+    type: String,
+    enum: {
+      values: PRODUCE_UNITS,
+      message: `Unit must be one of: ${PRODUCE_UNITS.join(', ')}`,
+    },
+    default: 'kg',
+  },
+  // Other spellings that mean this produce, e.g. "bean" for Beans
+  aliases: {
+    type: [String],
+    set: (values) => [...new Set(values.map(aliasKey).filter(Boolean))],
+  },
+  // Inactive produce keeps its history but cannot be procured or sold
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+produceSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+produceSchema.index({ aliases: 1 });
+
+// Find a catalog entry by its name or one of its aliases, ignoring case and extra spaces
+produceSchema.statics.findByName = async function(name) {
+  const key = aliasKey(name);
+  return (await this.findOne({ name: key }).collation(NAME_COLLATION)) || this.findOne({ aliases: key });
+};
+
+// The active catalog entry a new record names. Resolves to { produce } or,
+// when there is none, { error }.
+produceSchema.statics.resolveActive = async function(name) {
+  const produce = await this.findByName(name);
+
+  if (!produce) {
+    return { error: `${String(name).trim()} is not in the produce catalog` };
+  }
+  if (!produce.isActive) {
+    return { error: `${produce.name} is inactive and cannot be procured or sold` };
+  }
+  return { produce };
+};
+
+const Produce = mongoose.model('Produce', produceSchema);
+
+// Records carry the catalog's name and type for their produce
+const produceFields = (produce) => ({ produce: produce._id, produceName: produce.name, produceType: produce.type });
+
+module.exports = { Produce, PRODUCE_UNITS, aliasKey, produceFields };
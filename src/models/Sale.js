@@ -1,7 +1,42 @@
 const mongoose = require('mongoose');
+const { revisable, notVoided } = require('./plugins/revisable');
+
+function isNewSale() {
+  return this.isNew;
+}
 
 // Base schema - only define common fields that ALL sales will have
 const saleSchema = new mongoose.Schema({
+  // Catalog entry; produceName (and produceType on credit sales) are copied from it
+  produce: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Produce',
+  },
+  branch: {
+    type: String,
+    required: [true, 'Branch is required'],
+    enum: {
+      values: ['Maganjo', 'Matugga'],
+      message: 'Branch must be either Maganjo or Matugga',
+    },
+  },
+  // Required on new sales only: sales recorded before pricing have neither
+  unitPrice: {
+    type: Number,
+    required: [isNewSale, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative'],
+  },
+  expectedAmount: {
+    type: Number,
+    required: [isNewSale, 'Expected amount is required'],
+    min: [0, 'Expected amount cannot be negative'],
+  },
+  // The price list entry unitPrice came from; unset when the sale was priced
+  // from a procurement's selling price instead
+  priceEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Price',
+  },
   recordedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -16,11 +51,13 @@ const saleSchema = new mongoose.Schema({
   discriminatorKey: 'saleType' // This tells Mongoose which field to use as discriminator
 });
 
+saleSchema.plugin(revisable);
+
 // Create the base model
 const Sale = mongoose.model('Sale', saleSchema);
 
 // Cash Sale Schema - extends the base schema
-const CashSale = Sale.discriminator('Cash', new mongoose.Schema({
+const cashSaleSchema = new mongoose.Schema({
   produceName: {
     type: String,
     required: [true, 'Produce name is required'],
@@ -64,11 +101,98 @@ const CashSale = Sale.discriminator('Cash', new mongoose.Schema({
       },
       message: 'Please enter a valid time (HH:MM)',
     },
+  },
+  // Sequential per branch, starting at 1; set once the sale is saved
+  receiptNumber: {
+    type: Number,
+    min: 1,
+  },
+});
+
+cashSaleSchema.index(
+  { branch: 1, receiptNumber: -1 },
+  { unique: true, partialFilterExpression: { receiptNumber: { $exists: true } } }
+);
+
+const MAX_RECEIPT_ATTEMPTS = 20;
+
+// Give a cash sale the next receipt number for its branch. The number is one
+// more than the highest issued so far and only counts once the sale holds it;
+// if another sale claims the same number first the unique index rejects ours
+// and we try the next, so numbers never repeat and never skip. A sale that
+// already has a number keeps it. Resolves to the numbered sale.
+cashSaleSchema.statics.assignReceiptNumber = async function(sale) {
+  let current = sale;
+
+  for (let attempt = 0; attempt < MAX_RECEIPT_ATTEMPTS; attempt += 1) {
+    if (!current || current.receiptNumber) {
+      return current;
+    }
+
+    const last = await this.findOne({ branch: current.branch, receiptNumber: { $exists: true } })
+      .sort({ receiptNumber: -1 })
+      .select('receiptNumber');
+
+    try {
+      const numbered = await this.findOneAndUpdate(
+        { _id: current._id, receiptNumber: { $exists: false } },
+        { $set: { receiptNumber: last ? last.receiptNumber + 1 : 1 } },
+        { new: true }
+      );
+      // Null when a concurrent request numbered this sale first
+      current = numbered || await this.findById(current._id);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
   }
-}));
+
+  throw new Error(`Could not assign a receipt number to sale ${sale._id}`);
+};
+
+const CashSale = Sale.discriminator('Cash', cashSaleSchema);
+
+// A single repayment received against a credit sale
+const paymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [1, 'Payment amount must be at least 1 UgX'],
+  },
+  method: {
+    type: String,
+    required: [true, 'Payment method is required'],
+    enum: {
+      values: ['Cash', 'Mobile Money', 'Bank Transfer', 'Cheque'],
+      message: '{VALUE} is not a valid payment method',
+    },
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: [true, 'Payment date is required'],
+    default: Date.now,
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'],
+  },
+});
 
 // Credit Sale Schema - extends the base schema
-const CreditSale = Sale.discriminator('Credit', new mongoose.Schema({
+const creditSaleSchema = new mongoose.Schema({
+  // The registered buyer; the name, NIN and contact fields below are copied
+  // from the registry when the sale is recorded
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+  },
   buyerName: {
     type: String,
     required: [true, 'Buyer name is required'],
@@ -129,6 +253,11 @@ const CreditSale = Sale.discriminator('Credit', new mongoose.Schema({
     required: [true, 'Dispatch date is required'],
     default: Date.now,
   },
+  payments: [paymentSchema],
+  outstandingBalance: {
+    type: Number,
+    min: [0, 'Outstanding balance cannot be negative'],
+  },
   isPaid: {
     type: Boolean,
     default: false,
@@ -136,6 +265,92 @@ const CreditSale = Sale.discriminator('Credit', new mongoose.Schema({
   paymentDate: {
     type: Date,
   }
-}));
+});
+
+// A new credit sale starts out owing the full amount due
+creditSaleSchema.pre('validate', function(next) {
+  if (this.outstandingBalance === undefined || this.outstandingBalance === null) {
+    const paid = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
+    this.outstandingBalance = this.isPaid ? 0 : Math.max(this.amountDue - paid, 0);
+  }
+  next();
+});
+
+// Record a repayment against a credit sale. The balance check and the update
+// happen in one operation so two payments at once cannot overpay the sale.
+// Resolves to null when the payment exceeds the outstanding balance.
+creditSaleSchema.statics.recordPayment = async function(sale, payment) {
+  // Sales saved before the payment ledger existed have no balance yet. It is set
+  // directly, as saving would also validate fields such sales never had.
+  if (sale.outstandingBalance === undefined || sale.outstandingBalance === null) {
+    const paid = sale.payments.reduce((sum, entry) => sum + entry.amount, 0);
+    await this.updateOne(
+      { _id: sale._id, outstandingBalance: null },
+      { $set: { outstandingBalance: sale.isPaid ? 0 : Math.max(sale.amountDue - paid, 0) } }
+    );
+  }
+
+  const updated = await this.findOneAndUpdate(
+    { _id: sale._id, outstandingBalance: { $gte: payment.amount } },
+    {
+      $push: { payments: payment },
+      // A correction read before this payment then fails to save over it
+      $inc: { outstandingBalance: -payment.amount, __v: 1 },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated || updated.outstandingBalance > 0) {
+    return updated;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: sale._id },
+    { $set: { isPaid: true, paymentDate: payment.date || new Date() }, $inc: { __v: 1 } },
+    { new: true }
+  );
+};
+
+// Take back a payment recordPayment added, restoring the balance it paid off
+creditSaleSchema.statics.reversePayment = function(saleId, payment) {
+  return this.updateOne(
+    { _id: saleId, 'payments._id': payment._id },
+    {
+      $pull: { payments: { _id: payment._id } },
+      $inc: { outstandingBalance: payment.amount, __v: 1 },
+      $set: { isPaid: false },
+      $unset: { paymentDate: 1 },
+    }
+  );
+};
+
+creditSaleSchema.index({ nationalId: 1, dispatchDate: 1 });
+
+// What a buyer owes across their unpaid credit sales, and how much of that is
+// past its due date. Sales from before the buyer registry are matched by NIN.
+creditSaleSchema.statics.buyerExposure = async function(nationalId, now = new Date()) {
+  const [totals] = await this.aggregate([
+    { $match: { nationalId, isPaid: { $ne: true }, ...notVoided } },
+    { $project: { dueDate: 1, balance: { $ifNull: ['$outstandingBalance', '$amountDue'] } } },
+    { $match: { balance: { $gt: 0 } } },
+    { $addFields: { isOverdue: { $lt: ['$dueDate', now] } } },
+    {
+      $group: {
+        _id: null,
+        outstanding: { $sum: '$balance' },
+        overdue: { $sum: { $cond: ['$isOverdue', '$balance', 0] } },
+        overdueSales: { $sum: { $cond: ['$isOverdue', 1, 0] } },
+      },
+    },
+  ]);
+
+  return {
+    outstanding: totals ? totals.outstanding : 0,
+    overdue: totals ? totals.overdue : 0,
+    overdueSales: totals ? totals.overdueSales : 0,
+  };
+};
+
+const CreditSale = Sale.discriminator('Credit', creditSaleSchema);
 
 module.exports = { Sale, CashSale, CreditSale };
\ No newline at end of file
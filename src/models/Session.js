@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// A signed-in device. Access tokens name their session, so revoking the
+// session cuts off its access tokens as well as its refresh token.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Hash of the current refresh token secret. Replaced on every refresh.
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.matchesToken = function(secret) {
+  const expected = Buffer.from(this.tokenHash, 'hex');
+  const actual = Buffer.from(hashToken(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every open session a user has, e.g. "log out everywhere"
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+sessionSchema.statics.hashToken = hashToken;
+
+module.exports = mongoose.model('Session', sessionSchema);
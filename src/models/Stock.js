@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// One document per produce per branch, holding the kilograms currently on hand
+const stockSchema = new mongoose.Schema({
+  produceName: {
+    type: String,
+    required: [true, 'Produce name is required'],
+    trim: true,
+  },
+  branch: {
+    type: String,
+    required: [true, 'Branch is required'],
+    enum: {
+      values: ['Maganjo', 'Matugga'],
+      message: 'Branch must be either Maganjo or Matugga',
+    },
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Stock cannot go below zero'],
+  },
+}, {
+  timestamps: true,
+});
+
+stockSchema.index({ produceName: 1, branch: 1 }, { unique: true });
+
+// Add procured kilograms to a branch, creating the stock entry if needed
+stockSchema.statics.addStock = function(produceName, branch, tonnage) {
+  return this.findOneAndUpdate(
+    { produceName: produceName.trim(), branch },
+    { $inc: { quantity: tonnage } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Draw sold kilograms from a branch. Resolves to null when there is not
+// enough stock, so the caller can reject the sale without touching anything.
+stockSchema.statics.drawStock = function(produceName, branch, tonnage) {
+  return this.findOneAndUpdate(
+    { produceName: produceName.trim(), branch, quantity: { $gte: tonnage } },
+    { $inc: { quantity: -tonnage } },
+    { new: true }
+  );
+};
+
+// Apply several signed stock movements ({ produceName, branch, quantity }) as
+// one change, e.g. when a corrected record swaps its old tonnage for the new.
+// Draws go first and are undone again if any of them would go below zero.
+// Resolves to false when the movements could not all be applied.
+stockSchema.statics.applyMovements = async function(movements) {
+  const net = {};
+
+  movements.forEach(({ produceName, branch, quantity }) => {
+    const key = `${branch}:${produceName.trim()}`;
+    if (!net[key]) {
+      net[key] = { produceName: produceName.trim(), branch, quantity: 0 };
+    }
+    net[key].quantity += quantity;
+  });
+
+  const changes = Object.values(net)
+    .filter((movement) => movement.quantity !== 0)
+    .sort((a, b) => a.quantity - b.quantity);
+
+  const applied = [];
+
+  for (const movement of changes) {
+    const { produceName, branch, quantity } = movement;
+
+    if (quantity < 0) {
+      const stock = await this.drawStock(produceName, branch, -quantity);
+      if (!stock) {
+        await Promise.all(applied.map((done) => this.addStock(done.produceName, done.branch, -done.quantity)));
+        return false;
+      }
+    } else {
+      await this.addStock(produceName, branch, quantity);
+    }
+
+    applied.push(movement);
+  }
+
+  return true;
+};
+
+module.exports = mongoose.model('Stock', stockSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,11 +27,22 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['Manager', 'Sales Agent'],
+      values: ['Director', 'Manager', 'Sales Agent'],
       message: '{VALUE} is not a valid role',
     },
     default: 'Sales Agent',
   },
+  branch: {
+    type: String,
+    enum: {
+      values: ['Maganjo', 'Matugga'],
+      message: 'Branch must be either Maganjo or Matugga',
+    },
+    required: [
+      function() { return this.role === 'Sales Agent'; },
+      'Branch is required for sales agents',
+    ],
+  },
   phone: {
     type: String,
     required: [true, 'Phone number is required'],
@@ -40,6 +52,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  passwordChangedAt: {
+    type: Date,
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -52,6 +75,10 @@ userSchema.pre('save', async function(next) {
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
@@ -60,4 +87,27 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Issue a single-use reset token, replacing any earlier one. Only its hash is
+// stored; the plain token is returned for delivery to the user.
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Claim the user a reset token belongs to, clearing the token in the same
+// operation so it can never be used twice. Resolves to null if invalid or expired.
+userSchema.statics.consumePasswordResetToken = function(token) {
+  const hash = crypto.createHash('sha256').update(token).digest('hex');
+
+  return this.findOneAndUpdate(
+    { passwordResetTokenHash: hash, passwordResetExpires: { $gt: new Date() } },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const REASON_CODES = ['Data Entry Error', 'Duplicate Entry', 'Customer Return', 'Cancelled', 'Other'];
+
+// Records that have not been voided. Merge into any query feeding a total.
+const notVoided = { isVoided: { $ne: true } };
+
+const reasonFields = {
+  reasonCode: {
+    type: String,
+    required: [true, 'Reason code is required'],
+    enum: {
+      values: REASON_CODES,
+      message: '{VALUE} is not a valid reason code',
+    },
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+};
+
+// One correction or void applied to the record, keeping the values it replaced
+const revisionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['Correction', 'Void'],
+    required: true,
+  },
+  ...reasonFields,
+  previousValues: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A correction proposed by someone who cannot edit the record directly
+const correctionRequestSchema = new mongoose.Schema({
+  ...reasonFields,
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected'],
+    default: 'Pending',
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+  },
+});
+
+// Adds void flags, a revision history and correction requests to a schema.
+// Saves check the version the record was read at, so two corrections or voids
+// made from the same read cannot both be saved; the later one fails with a
+// VersionError and must be retried from a fresh read.
+const revisable = (schema) => {
+  schema.set('optimisticConcurrency', true);
+
+  schema.add({
+    isVoided: {
+      type: Boolean,
+      default: false,
+    },
+    voidedAt: {
+      type: Date,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revisions: [revisionSchema],
+    correctionRequests: [correctionRequestSchema],
+  });
+
+  // Set the changed fields and log what they were before. Only fields whose
+  // value actually differs are touched; returns their names.
+  schema.methods.applyCorrection = function(changes, user, { reasonCode, reason }) {
+    const previousValues = {};
+
+    Object.keys(changes).forEach((field) => {
+      const previous = this.get(field);
+      this.set(field, changes[field]);
+
+      if (this.isModified(field)) {
+        previousValues[field] = previous;
+      }
+    });
+
+    const changedFields = Object.keys(previousValues);
+    if (changedFields.length) {
+      this.revisions.push({
+        action: 'Correction',
+        reasonCode,
+        reason,
+        previousValues,
+        changedBy: user._id,
+      });
+    }
+
+    return changedFields;
+  };
+
+  schema.methods.voidRecord = function(user, { reasonCode, reason }) {
+    this.isVoided = true;
+    this.voidedAt = new Date();
+    this.voidedBy = user._id;
+    this.revisions.push({
+      action: 'Void',
+      reasonCode,
+      reason,
+      previousValues: { isVoided: false },
+      changedBy: user._id,
+    });
+  };
+};
+
+module.exports = { revisable, notVoided, REASON_CODES };
@@ -0,0 +1,6 @@
+// Development stand-in: prints messages to the server console
+const send = async ({ to, subject, text }) => {
+  console.log(`[notification] To: ${to}\n[notification] Subject: ${subject}\n${text}`);
+};
+
+module.exports = { send };
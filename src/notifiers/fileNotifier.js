@@ -0,0 +1,12 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development stand-in: appends messages to a file (NOTIFIER_FILE)
+const send = async ({ to, subject, text }) => {
+  const file = process.env.NOTIFIER_FILE || path.join(process.cwd(), 'logs', 'notifications.log');
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, `--- ${new Date().toISOString()}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n\n`);
+};
+
+module.exports = { send };
@@ -0,0 +1,23 @@
+const consoleNotifier = require('./consoleNotifier');
+const fileNotifier = require('./fileNotifier');
+
+// Built-in notifiers, chosen with the NOTIFIER environment variable
+const notifiers = {
+  console: consoleNotifier,
+  file: fileNotifier,
+};
+
+let customNotifier = null;
+
+// Plug in another delivery channel (e.g. email or SMS). It must provide
+// an async send({ to, subject, text }).
+const setNotifier = (notifier) => {
+  customNotifier = notifier;
+};
+
+const notify = (message) => {
+  const notifier = customNotifier || notifiers[process.env.NOTIFIER] || consoleNotifier;
+  return notifier.send(message);
+};
+
+module.exports = { notify, setNotifier };
@@ -0,0 +1,150 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit log of mutating actions and logins
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize } = require('../middleware/auth');
+const { dateRange, listRules, listOptions, pageInfo, textFilters } = require('../utils/listQuery');
+
+const AUDIT_SORT_FIELDS = ['timestamp', 'action', 'statusCode'];
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Query the audit log (Manager only)
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who performed the action
+ *       - in: query
+ *         name: actorEmail
+ *         schema:
+ *           type: string
+ *         description: Email used, including failed logins
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: PATCH /api/sales/credit/:id/payment
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [POST, PUT, PATCH, DELETE]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: ID of the record acted on
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -timestamp
+ *         description: Comma-separated fields, prefix with - for descending (timestamp, action, statusCode)
+ *     responses:
+ *       200:
+ *         description: A page of audit entries with actor, action, target, changes, IP and timestamp
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only
+ */
+router.get('/',
+  protect,
+  authorize('Manager'),
+  [
+    ...listRules(AUDIT_SORT_FIELDS),
+    ...textFilters('actor', 'action', 'method', 'targetId', 'actorEmail'),
+    query('actor').optional().isMongoId().withMessage('Actor must be a valid user ID'),
+    query('method').optional().isIn(['POST', 'PUT', 'PATCH', 'DELETE']).withMessage('Invalid method'),
+    query('success').optional().isBoolean().withMessage('Success must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let filter = dateRange('timestamp', req.query.from, req.query.to);
+
+      ['actor', 'action', 'method', 'targetId'].forEach((field) => {
+        if (req.query[field]) {
+          filter[field] = req.query[field].trim();
+        }
+      });
+
+      if (req.query.actorEmail) {
+        filter.actorEmail = req.query.actorEmail.trim().toLowerCase();
+      }
+
+      if (req.query.success !== undefined) {
+        filter.success = req.query.success === 'true';
+      }
+
+      const options = listOptions(req, { timestamp: -1 });
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .populate('actor', 'name email role')
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: entries.length,
+        ...pageInfo(req, total, options),
+        data: entries
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
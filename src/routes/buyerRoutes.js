@@ -0,0 +1,728 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Buyers
+ *   description: Credit buyer accounts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Buyer = require('../models/Buyer');
+const { CreditSale } = require('../models/Sale');
+const { protect, authorize, roleRank, branchFilter } = require('../middleware/auth');
+const { endOfRange, dateRules, listRules, listOptions, pageInfo, escapeRegExp, textFilters } = require('../utils/listQuery');
+const { auditBefore } = require('../middleware/audit');
+const { notVoided } = require('../models/plugins/revisable');
+const { formatMoney, formatDate } = require('../utils/exporter');
+const { documentFormatRule, sendDocument } = require('../utils/documents');
+
+const BUYER_SORT_FIELDS = ['buyerName', 'nationalId', 'location', 'creditLimit', 'createdAt'];
+
+const nationalIdRule = param('nationalId').toUpperCase()
+  .matches(/^[A-Z0-9]{10,15}$/).withMessage('Please enter a valid NIN');
+
+const buyerDetailRules = [
+  body('buyerName').optional().isLength({ min: 2 }).withMessage('Buyer name must be at least 2 characters')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Buyer name must be alphanumeric'),
+  body('location').optional().isLength({ min: 2 }).withMessage('Location must be at least 2 characters')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Location must be alphanumeric'),
+  body('contacts').optional().matches(/^[0-9]{10,12}$/).withMessage('Please enter a valid phone number'),
+];
+
+const creditLimitRule = body('creditLimit').optional({ values: 'null' })
+  .isFloat({ min: 0 }).withMessage('Credit limit must be zero or more UgX');
+
+const isManager = (user) => roleRank(user.role) >= roleRank('Manager');
+
+// The buyer plus what they owe right now and how much more credit they can take
+const withStanding = async (buyer) => {
+  const exposure = await CreditSale.buyerExposure(buyer.nationalId);
+  const limited = buyer.creditLimit !== null && buyer.creditLimit !== undefined;
+
+  return {
+    ...buyer.toObject(),
+    ...exposure,
+    available: limited ? Math.max(buyer.creditLimit - exposure.outstanding, 0) : null,
+  };
+};
+
+// Every charge and repayment on a buyer's credit sales, oldest first
+const accountEntries = (sales) => {
+  const entries = [];
+
+  sales.forEach((sale) => {
+    entries.push({
+      date: sale.dispatchDate,
+      type: 'Sale',
+      description: `${sale.tonnage} kg ${sale.produceName} (${sale.branch}), due ${formatDate(sale.dueDate, false)}`,
+      saleId: sale._id,
+      debit: sale.amountDue,
+      credit: 0,
+    });
+
+    let paid = 0;
+    sale.payments.forEach((payment) => {
+      paid += payment.amount;
+      entries.push({
+        date: payment.date,
+        type: 'Payment',
+        description: [payment.method, payment.reference].filter(Boolean).join(' '),
+        saleId: sale._id,
+        debit: 0,
+        credit: payment.amount,
+      });
+    });
+
+    // Sales settled before the payment ledger existed have no payment entries
+    const recorded = sale.outstandingBalance !== undefined && sale.outstandingBalance !== null;
+    const outstanding = recorded ? sale.outstandingBalance : (sale.isPaid ? 0 : sale.amountDue - paid);
+    const settled = sale.amountDue - paid - outstanding;
+    if (settled > 0) {
+      entries.push({
+        date: sale.paymentDate || sale.updatedAt,
+        type: 'Payment',
+        description: 'Settled (no payment details recorded)',
+        saleId: sale._id,
+        debit: 0,
+        credit: settled,
+      });
+    }
+  });
+
+  return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Split entries into the balance brought forward from before `from` and the
+// entries inside the range, each carrying the running balance after it
+const buildStatement = (sales, from, to) => {
+  let balance = 0;
+  let openingBalance = 0;
+  const entries = [];
+
+  accountEntries(sales).forEach((entry) => {
+    if (to && entry.date > to) return;
+
+    balance += entry.debit - entry.credit;
+    if (from && entry.date < from) {
+      openingBalance = balance;
+      return;
+    }
+
+    entries.push({ ...entry, balance });
+  });
+
+  return {
+    openingBalance,
+    totalCharged: entries.reduce((sum, entry) => sum + entry.debit, 0),
+    totalPaid: entries.reduce((sum, entry) => sum + entry.credit, 0),
+    closingBalance: balance,
+    entries,
+  };
+};
+
+const statementDocument = (statement) => ({
+  title: 'Account Statement',
+  filename: `statement-${statement.buyer.nationalId}`,
+  details: [
+    ['Buyer', statement.buyer.buyerName],
+    ['National ID', statement.buyer.nationalId],
+    ['Location', statement.buyer.location],
+    ['Contact', statement.buyer.contacts],
+    ['Period', `${statement.from ? formatDate(statement.from, false) : 'Start'} to ${formatDate(statement.to || new Date(), false)}`],
+    ['Opening balance', formatMoney(statement.openingBalance)],
+  ],
+  table: {
+    columns: [
+      { header: 'Date' },
+      { header: 'Type' },
+      { header: 'Details' },
+      { header: 'Charged', align: 'right' },
+      { header: 'Paid', align: 'right' },
+      { header: 'Balance', align: 'right' },
+    ],
+    rows: statement.entries.map((entry) => [
+      formatDate(entry.date, false),
+      entry.type,
+      entry.description,
+      entry.debit ? formatMoney(entry.debit) : '',
+      entry.credit ? formatMoney(entry.credit) : '',
+      formatMoney(entry.balance),
+    ]),
+  },
+  totals: [
+    ['Total charged', formatMoney(statement.totalCharged)],
+    ['Total paid', formatMoney(statement.totalPaid)],
+    ['Closing balance', formatMoney(statement.closingBalance)],
+  ],
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BuyerDetails:
+ *       type: object
+ *       properties:
+ *         buyerName:
+ *           type: string
+ *           minLength: 2
+ *         location:
+ *           type: string
+ *           minLength: 2
+ *         contacts:
+ *           type: string
+ *           pattern: '^[0-9]{10,12}$'
+ */
+
+/**
+ * @swagger
+ * /buyers:
+ *   post:
+ *     summary: Register a credit buyer
+ *     description: Any signed-in user can register a buyer; only managers may set a credit limit.
+ *     tags: [Buyers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BuyerDetails'
+ *               - type: object
+ *                 required:
+ *                   - nationalId
+ *                   - buyerName
+ *                   - location
+ *                   - contacts
+ *                 properties:
+ *                   nationalId:
+ *                     type: string
+ *                   creditLimit:
+ *                     type: number
+ *                     minimum: 0
+ *                     nullable: true
+ *                     description: Leave out for no limit
+ *     responses:
+ *       201:
+ *         description: Buyer registered
+ *       400:
+ *         description: Validation error or NIN already registered
+ *       403:
+ *         description: Only managers may set a credit limit
+ */
+router.post('/',
+  protect,
+  [
+    body('nationalId').toUpperCase().matches(/^[A-Z0-9]{10,15}$/).withMessage('Please enter a valid NIN'),
+    body('buyerName').exists().withMessage('Buyer name is required'),
+    body('location').exists().withMessage('Location is required'),
+    body('contacts').exists().withMessage('Contact number is required'),
+    ...buyerDetailRules,
+    creditLimitRule,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { nationalId, buyerName, location, contacts, creditLimit } = req.body;
+
+      if (creditLimit !== undefined && !isManager(req.user)) {
+        return res.status(403).json({ error: 'Only managers can set a credit limit' });
+      }
+
+      if (await Buyer.exists({ nationalId })) {
+        return res.status(400).json({ error: `A buyer is already registered with NIN ${nationalId}` });
+      }
+
+      const buyer = await Buyer.create({
+        nationalId,
+        buyerName,
+        location,
+        contacts,
+        createdBy: req.user._id,
+        ...(creditLimit !== undefined && {
+          creditLimit,
+          creditLimitSetBy: req.user._id,
+          creditLimitSetAt: new Date()
+        })
+      });
+
+      res.status(201).json({
+        success: true,
+        data: buyer
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /buyers:
+ *   get:
+ *     summary: List registered buyers
+ *     tags: [Buyers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: buyerName
+ *         description: Comma-separated fields, prefix with - for descending (buyerName, nationalId, location, creditLimit, createdAt)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the buyer's name, or their full NIN
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: A page of buyers with total count and next/prev links
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/',
+  protect,
+  [
+    ...listRules(BUYER_SORT_FIELDS),
+    ...textFilters('search'),
+    query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filter = {};
+
+      if (req.query.search) {
+        const search = req.query.search.trim();
+        filter.$or = [
+          { buyerName: new RegExp(escapeRegExp(search), 'i') },
+          { nationalId: search.toUpperCase() },
+        ];
+      }
+
+      if (req.query.isActive !== undefined) {
+        filter.isActive = req.query.isActive === 'true';
+      }
+
+      const options = listOptions(req, { buyerName: 1 });
+
+      const [buyers, total] = await Promise.all([
+        Buyer.find(filter)
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        Buyer.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: buyers.length,
+        ...pageInfo(req, total, options),
+        data: buyers
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /buyers/{nationalId}:
+ *   get:
+ *     summary: Get a buyer with their current balance and remaining credit
+ *     tags: [Buyers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: nationalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Buyer with outstanding, overdue, overdueSales and available (null when there is no limit)
+ *       404:
+ *         description: Buyer not found
+ */
+router.get('/:nationalId', protect, nationalIdRule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const buyer = await Buyer.findOne({ nationalId: req.params.nationalId });
+
+    if (!buyer) {
+      return res.status(404).json({ error: 'Buyer not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await withStanding(buyer)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /buyers/{nationalId}:
+ *   patch:
+ *     summary: Update a buyer's details
+ *     description: Past sales keep the details they were recorded with. Only managers may change isActive; inactive buyers cannot take new credit.
+ *     tags: [Buyers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: nationalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BuyerDetails'
+ *               - type: object
+ *                 properties:
+ *                   isActive:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Buyer updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only managers may activate or deactivate buyers
+ *       404:
+ *         description: Buyer not found
+ */
+router.patch('/:nationalId',
+  protect,
+  [
+    nationalIdRule,
+    ...buyerDetailRules,
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.body.isActive !== undefined && !isManager(req.user)) {
+        return res.status(403).json({ error: 'Only managers can activate or deactivate buyers' });
+      }
+
+      const buyer = await Buyer.findOne({ nationalId: req.params.nationalId });
+
+      if (!buyer) {
+        return res.status(404).json({ error: 'Buyer not found' });
+      }
+
+      auditBefore(res, buyer);
+
+      ['buyerName', 'location', 'contacts', 'isActive'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          buyer[field] = req.body[field];
+        }
+      });
+
+      await buyer.save();
+
+      res.status(200).json({
+        success: true,
+        data: buyer
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /buyers/{nationalId}/credit-limit:
+ *   patch:
+ *     summary: Set or remove a buyer's credit limit (Manager only)
+ *     description: New credit sales are refused when they would take what the buyer owes above this limit.
+ *     tags: [Buyers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: nationalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - creditLimit
+ *             properties:
+ *               creditLimit:
+ *                 type: number
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: null removes the limit
+ *     responses:
+ *       200:
+ *         description: Credit limit updated; returns the buyer with their current standing
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Buyer not found
+ */
+router.patch('/:nationalId/credit-limit',
+  protect,
+  authorize('Manager'),
+  [
+    nationalIdRule,
+    body('creditLimit').exists().withMessage('Credit limit is required (null for no limit)'),
+    creditLimitRule,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const buyer = await Buyer.findOne({ nationalId: req.params.nationalId });
+
+      if (!buyer) {
+        return res.status(404).json({ error: 'Buyer not found' });
+      }
+
+      auditBefore(res, buyer);
+
+      buyer.creditLimit = req.body.creditLimit;
+      buyer.creditLimitSetBy = req.user._id;
+      buyer.creditLimitSetAt = new Date();
+      await buyer.save();
+
+      res.status(200).json({
+        success: true,
+        data: await withStanding(buyer)
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /buyers/{nationalId}:
+ *   delete:
+ *     summary: Delete a buyer with no credit sales (Manager only)
+ *     description: Buyers with credit sales cannot be deleted; deactivate them with PATCH instead.
+ *     tags: [Buyers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: nationalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Buyer deleted
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Buyer not found
+ *       409:
+ *         description: Buyer has credit sales
+ */
+router.delete('/:nationalId', protect, authorize('Manager'), nationalIdRule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const buyer = await Buyer.findOne({ nationalId: req.params.nationalId });
+
+    if (!buyer) {
+      return res.status(404).json({ error: 'Buyer not found' });
+    }
+
+    auditBefore(res, buyer);
+
+    if (await CreditSale.exists({ nationalId: buyer.nationalId })) {
+      return res.status(409).json({ error: 'Buyer has credit sales and cannot be deleted; deactivate them instead' });
+    }
+
+    await buyer.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: buyer
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /buyers/{nationalId}/statement:
+ *   get:
+ *     summary: Account statement for a credit buyer
+ *     description: >
+ *       Every credit sale and repayment for the buyer, oldest first, with the running balance.
+ *       Entries before `from` are carried in as the opening balance. Voided sales are left out,
+ *       and sales agents only see sales from their own branch.
+ *     tags: [Buyers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: nationalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the statement period (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the statement period (inclusive)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Statement as JSON, an HTML page or a PDF
+ *       400:
+ *         description: Invalid NIN, dates or format
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Buyer is not registered and has no credit sales in the caller's branch
+ */
+router.get('/:nationalId/statement',
+  protect,
+  [
+    nationalIdRule,
+    ...dateRules(),
+    documentFormatRule(['json', 'html', 'pdf']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? endOfRange(req.query.to) : null;
+
+      const sales = await CreditSale.find({
+        nationalId: req.params.nationalId,
+        ...notVoided,
+        ...branchFilter(req.user)
+      }).sort({ dispatchDate: 1, createdAt: 1 });
+
+      const registered = await Buyer.findOne({ nationalId: req.params.nationalId });
+
+      if (!registered && !sales.length) {
+        return res.status(404).json({ error: 'No credit sales found for this buyer' });
+      }
+
+      // Registry details, or as given on the most recent sale for unregistered buyers
+      const details = registered || sales[sales.length - 1];
+      const statement = {
+        buyer: {
+          buyerName: details.buyerName,
+          nationalId: details.nationalId,
+          location: details.location,
+          contacts: details.contacts,
+        },
+        from,
+        to,
+        ...buildStatement(sales, from, to),
+      };
+
+      const format = req.query.format || 'json';
+      if (format !== 'json') {
+        return await sendDocument(res, format, statementDocument(statement));
+      }
+
+      res.status(200).json({
+        success: true,
+        data: statement
+      });
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,442 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Cash Close
+ *   description: End-of-day cash declaration and reconciliation
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { CashClose, dayOf, DAY_PATTERN } = require('../models/CashClose');
+const { protect, authorize, canAccessAllBranches, branchFilter } = require('../middleware/auth');
+const { listRules, listOptions, pageInfo } = require('../utils/listQuery');
+const { auditBefore } = require('../middleware/audit');
+
+const CASH_CLOSE_SORT_FIELDS = ['day', 'createdAt', 'variance', 'declaredCash', 'branch', 'status'];
+
+const dayRule = (field) => field.optional().matches(DAY_PATTERN).withMessage('Day must be YYYY-MM-DD')
+  .custom((value) => {
+    if (value > dayOf(new Date())) {
+      throw new Error('Cannot close a day that has not happened yet');
+    }
+    return true;
+  });
+
+// Agents close their own days; managers may also look at anyone's
+const closeScope = (user) => (canAccessAllBranches(user) ? {} : { agent: user._id, ...branchFilter(user) });
+
+/**
+ * @swagger
+ * /cash-closes/expected:
+ *   get:
+ *     summary: What the caller is expected to hold in cash for a day, before declaring it
+ *     tags: [Cash Close]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: day
+ *         schema:
+ *           type: string
+ *           example: '2024-05-17'
+ *         description: Business day (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Cash sales and cash repayments for the day, and any existing close
+ *       400:
+ *         description: Validation error or the caller has no branch
+ */
+router.get('/expected',
+  protect,
+  dayRule(query('day')),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user.branch) {
+        return res.status(400).json({ error: 'Only users assigned to a branch can close a day' });
+      }
+
+      const day = req.query.day || dayOf(new Date());
+      const [totals, close] = await Promise.all([
+        CashClose.expectedCash(req.user._id, req.user.branch, day),
+        CashClose.findOne({ agent: req.user._id, day }),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: { day, branch: req.user.branch, ...totals, close }
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /cash-closes:
+ *   post:
+ *     summary: Declare the cash counted at the end of a day
+ *     description: >
+ *       The declared cash is compared with the caller's cash sales and the credit repayments they
+ *       received in cash that day, and the variance is recorded for a manager to sign off. Once
+ *       declared, the day is closed: sales and repayments can no longer be recorded into it unless
+ *       a manager rejects the close, after which it can be declared again.
+ *     tags: [Cash Close]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - declaredCash
+ *             properties:
+ *               day:
+ *                 type: string
+ *                 example: '2024-05-17'
+ *                 description: Business day (defaults to today)
+ *               declaredCash:
+ *                 type: number
+ *                 minimum: 0
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Close recorded as Pending, with expected cash and variance
+ *       400:
+ *         description: Validation error or the caller has no branch
+ *       409:
+ *         description: Day already closed
+ */
+router.post('/',
+  protect,
+  authorize('Sales Agent'),
+  [
+    dayRule(body('day')),
+    body('declaredCash').isFloat({ min: 0 }).withMessage('Declared cash must be zero or more UgX'),
+    body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user.branch) {
+        return res.status(400).json({ error: 'Only users assigned to a branch can close a day' });
+      }
+
+      const day = req.body.day || dayOf(new Date());
+      let close = await CashClose.findOne({ agent: req.user._id, day });
+
+      if (close && close.status !== 'Rejected') {
+        return res.status(409).json({ error: `${day} is already closed (${close.status})` });
+      }
+
+      const totals = await CashClose.expectedCash(req.user._id, req.user.branch, day);
+      const declaredCash = Number(req.body.declaredCash);
+
+      if (close) {
+        auditBefore(res, close);
+      } else {
+        close = new CashClose({ agent: req.user._id, day });
+      }
+
+      // A rejected close is declared again in place
+      Object.assign(close, {
+        branch: req.user.branch,
+        declaredCash,
+        ...totals,
+        variance: declaredCash - totals.expected.total,
+        note: req.body.note,
+        status: 'Pending',
+        submittedAt: new Date(),
+        reviewedBy: undefined,
+        reviewedAt: undefined,
+        reviewNote: undefined,
+      });
+      await close.save();
+
+      // A sale or repayment written while the close was being written saw the
+      // day open and stays; count it. Any written from now on sees the close.
+      const settled = await CashClose.expectedCash(req.user._id, req.user.branch, day);
+      if (JSON.stringify(settled) !== JSON.stringify(totals)) {
+        Object.assign(close, { ...settled, variance: declaredCash - settled.expected.total });
+        await close.save();
+      }
+
+      res.status(201).json({
+        success: true,
+        data: close
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Day is already closed' });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /cash-closes:
+ *   get:
+ *     summary: List day closes (own closes for sales agents, all for managers)
+ *     tags: [Cash Close]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -day
+ *         description: Comma-separated fields, prefix with - for descending (day, createdAt, variance, declaredCash, branch, status)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First business day (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last business day (inclusive)
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *       - in: query
+ *         name: agent
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Signed Off, Rejected]
+ *     responses:
+ *       200:
+ *         description: A page of closes with total count and next/prev links
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/',
+  protect,
+  [
+    ...listRules(CASH_CLOSE_SORT_FIELDS),
+    query('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+    query('agent').optional().isMongoId().withMessage('agent must be a valid user ID'),
+    query('status').optional().isIn(['Pending', 'Signed Off', 'Rejected']).withMessage('Invalid status'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filter = {};
+
+      // Business days are YYYY-MM-DD strings, so they compare in date order
+      if (req.query.from || req.query.to) {
+        filter.day = {};
+        if (req.query.from) filter.day.$gte = req.query.from.slice(0, 10);
+        if (req.query.to) filter.day.$lte = req.query.to.slice(0, 10);
+      }
+
+      ['branch', 'agent', 'status'].forEach((field) => {
+        if (req.query[field]) {
+          filter[field] = req.query[field];
+        }
+      });
+
+      Object.assign(filter, closeScope(req.user));
+
+      const options = listOptions(req, { day: -1, createdAt: -1 });
+
+      const [closes, total] = await Promise.all([
+        CashClose.find(filter)
+          .populate('agent', 'name email')
+          .populate('reviewedBy', 'name email')
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        CashClose.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: closes.length,
+        ...pageInfo(req, total, options),
+        data: closes
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /cash-closes/{id}:
+ *   get:
+ *     summary: Get a single day close
+ *     tags: [Cash Close]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Day close
+ *       404:
+ *         description: Close not found
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const close = await CashClose.findOne({ _id: req.params.id, ...closeScope(req.user) })
+      .populate('agent', 'name email')
+      .populate('reviewedBy', 'name email');
+
+    if (!close) {
+      return res.status(404).json({ error: 'Cash close not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: close
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /cash-closes/{id}/review:
+ *   patch:
+ *     summary: Sign off or reject a day close (Manager only)
+ *     description: >
+ *       Expected cash is worked out again from the records at review time, so corrections made
+ *       since the close was declared are reflected in the variance that is signed off. Rejecting
+ *       reopens the day for the agent. Managers cannot review their own closes.
+ *     tags: [Cash Close]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Signed Off, Rejected]
+ *               reviewNote:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Close reviewed
+ *       400:
+ *         description: Validation error or close already reviewed
+ *       403:
+ *         description: Managers only, and not for their own close
+ *       404:
+ *         description: Close not found
+ */
+router.patch('/:id/review',
+  protect,
+  authorize('Manager'),
+  [
+    body('status').isIn(['Signed Off', 'Rejected']).withMessage('Status must be Signed Off or Rejected'),
+    body('reviewNote').optional().isLength({ max: 500 }).withMessage('Review note cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const close = await CashClose.findById(req.params.id);
+
+      if (!close) {
+        return res.status(404).json({ error: 'Cash close not found' });
+      }
+
+      auditBefore(res, close);
+
+      if (close.agent.equals(req.user._id)) {
+        return res.status(403).json({ error: 'You cannot review your own cash close' });
+      }
+
+      if (close.status !== 'Pending') {
+        return res.status(400).json({ error: `Cash close is already ${close.status.toLowerCase()}` });
+      }
+
+      const totals = await CashClose.expectedCash(close.agent, close.branch, close.day);
+
+      Object.assign(close, {
+        ...totals,
+        variance: close.declaredCash - totals.expected.total,
+        status: req.body.status,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.reviewNote,
+      });
+      await close.save();
+
+      res.status(200).json({
+        success: true,
+        data: close
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
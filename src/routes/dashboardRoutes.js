@@ -0,0 +1,154 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Dashboard
+ *   description: Cross-branch executive dashboard
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const Procurement = require('../models/Procurement');
+const Stock = require('../models/Stock');
+const Price = require('../models/Price');
+const { CashSale, CreditSale } = require('../models/Sale');
+const { protect, authorize } = require('../middleware/auth');
+const { dateRange, endOfRange, dateRules } = require('../utils/listQuery');
+const { notVoided } = require('../models/plugins/revisable');
+
+const BRANCHES = ['Maganjo', 'Matugga'];
+
+// Turn [{ _id: branch, value }] into { Maganjo, Matugga, total }
+const byBranch = (rows) => {
+  const result = { total: 0 };
+  BRANCHES.forEach((branch) => { result[branch] = 0; });
+
+  rows.forEach((row) => {
+    const branch = row._id || 'Unassigned';
+    result[branch] = (result[branch] || 0) + row.value;
+    result.total += row.value;
+  });
+
+  return result;
+};
+
+/**
+ * @swagger
+ * /dashboard:
+ *   get:
+ *     summary: Executive totals across both branches (Director only)
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the date range (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the date range (inclusive)
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *         description: Number of top produce to return
+ *     responses:
+ *       200:
+ *         description: Procurement spend, cash revenue, credit outstanding, stock value and top produce, per branch and in total
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Directors only
+ */
+router.get('/',
+  protect,
+  authorize('Director'),
+  [
+    ...dateRules(),
+    query('top').optional().isString().withMessage('top must be given once').bail()
+      .isInt({ min: 1, max: 50 }).withMessage('Top must be between 1 and 50'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? endOfRange(req.query.to) : null;
+      const top = req.query.top ? Number(req.query.top) : 5;
+
+      const [spend, cashRevenue, creditOutstanding, cashByProduce, creditByProduce, stock] = await Promise.all([
+        Procurement.aggregate([
+          { $match: { ...notVoided, ...dateRange('date', from, to) } },
+          { $group: { _id: '$branch', value: { $sum: '$cost' } } },
+        ]),
+        CashSale.aggregate([
+          { $match: { ...notVoided, ...dateRange('date', from, to) } },
+          { $group: { _id: '$branch', value: { $sum: '$amountPaid' } } },
+        ]),
+        CreditSale.aggregate([
+          { $match: { isPaid: false, ...notVoided, ...dateRange('dispatchDate', from, to) } },
+          { $group: { _id: '$branch', value: { $sum: { $ifNull: ['$outstandingBalance', '$amountDue'] } } } },
+        ]),
+        CashSale.aggregate([
+          { $match: { ...notVoided, ...dateRange('date', from, to) } },
+          { $group: { _id: '$produceName', revenue: { $sum: '$amountPaid' }, tonnage: { $sum: '$tonnage' } } },
+        ]),
+        CreditSale.aggregate([
+          { $match: { ...notVoided, ...dateRange('dispatchDate', from, to) } },
+          { $group: { _id: '$produceName', revenue: { $sum: '$amountDue' }, tonnage: { $sum: '$tonnage' } } },
+        ]),
+        Stock.find({ quantity: { $gt: 0 } }).lean(),
+      ]);
+
+      // Stock is valued at today's selling price for each produce and branch
+      const stockRows = await Promise.all(stock.map(async (item) => {
+        const price = await Price.priceInForce(item.produceName, item.branch);
+        return { _id: item.branch, value: item.quantity * (price ? price.unitPrice : 0) };
+      }));
+
+      const produce = {};
+      [...cashByProduce, ...creditByProduce].forEach((row) => {
+        if (!produce[row._id]) {
+          produce[row._id] = { produceName: row._id, revenue: 0, tonnage: 0 };
+        }
+        produce[row._id].revenue += row.revenue;
+        produce[row._id].tonnage += row.tonnage;
+      });
+
+      const topProduce = Object.values(produce)
+        .sort((a, b) => b.revenue - a.revenue)
+        .slice(0, top);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          from,
+          to,
+          procurementSpend: byBranch(spend),
+          cashRevenue: byBranch(cashRevenue),
+          creditOutstanding: byBranch(creditOutstanding),
+          stockValue: byBranch(stockRows),
+          topProduce
+        }
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
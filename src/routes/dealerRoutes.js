@@ -0,0 +1,372 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Dealers
+ *   description: Registered produce suppliers
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Dealer = require('../models/Dealer');
+const Procurement = require('../models/Procurement');
+const { protect, authorize } = require('../middleware/auth');
+const { listRules, listOptions, pageInfo, escapeRegExp, textFilters } = require('../utils/listQuery');
+const { auditBefore } = require('../middleware/audit');
+
+const DEALER_SORT_FIELDS = ['name', 'location', 'createdAt'];
+
+const dealerRules = [
+  body('name').optional().isLength({ min: 2 }).withMessage('Dealer name must be at least 2 characters')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Dealer name must be alphanumeric'),
+  body('contact').optional().matches(/^[0-9]{10,12}$/).withMessage('Please enter a valid phone number'),
+  body('location').optional().matches(/^[a-zA-Z0-9\s]*$/).withMessage('Location must be alphanumeric'),
+];
+
+// Another dealer already using this name, ignoring case
+const nameTaken = async (name, exceptId) => {
+  const existing = await Dealer.findByName(name);
+  return Boolean(existing && !existing._id.equals(exceptId));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Dealer:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 2
+ *         contact:
+ *           type: string
+ *           pattern: '^[0-9]{10,12}$'
+ *         location:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /dealers:
+ *   post:
+ *     summary: Register a dealer (Manager only)
+ *     tags: [Dealers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Dealer'
+ *               - required:
+ *                   - name
+ *                   - contact
+ *     responses:
+ *       201:
+ *         description: Dealer registered
+ *       400:
+ *         description: Validation error or name already registered
+ *       403:
+ *         description: Forbidden - Managers only
+ */
+router.post('/',
+  protect,
+  authorize('Manager'),
+  [
+    body('name').exists().withMessage('Dealer name is required'),
+    body('contact').exists().withMessage('Contact number is required'),
+    ...dealerRules,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, contact, location } = req.body;
+
+      if (await nameTaken(name)) {
+        return res.status(400).json({ error: `A dealer named ${name} is already registered` });
+      }
+
+      const dealer = await Dealer.create({ name, contact, location, createdBy: req.user._id });
+
+      res.status(201).json({
+        success: true,
+        data: dealer
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /dealers:
+ *   get:
+ *     summary: List registered dealers
+ *     tags: [Dealers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: name
+ *         description: Comma-separated fields, prefix with - for descending (name, location, createdAt)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the dealer's name
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: A page of dealers with total count and next/prev links
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/',
+  protect,
+  [
+    ...listRules(DEALER_SORT_FIELDS),
+    ...textFilters('search'),
+    query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filter = {};
+
+      if (req.query.search) {
+        filter.name = new RegExp(escapeRegExp(req.query.search.trim()), 'i');
+      }
+
+      if (req.query.isActive !== undefined) {
+        filter.isActive = req.query.isActive === 'true';
+      }
+
+      const options = listOptions(req, { name: 1 });
+
+      const [dealers, total] = await Promise.all([
+        Dealer.find(filter)
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        Dealer.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: dealers.length,
+        ...pageInfo(req, total, options),
+        data: dealers
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /dealers/{id}:
+ *   get:
+ *     summary: Get a single dealer
+ *     tags: [Dealers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dealer
+ *       404:
+ *         description: Dealer not found
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const dealer = await Dealer.findById(req.params.id);
+
+    if (!dealer) {
+      return res.status(404).json({ error: 'Dealer not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dealer
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /dealers/{id}:
+ *   patch:
+ *     summary: Update a dealer (Manager only)
+ *     description: Past procurements keep the name and contact they were recorded with. Inactive dealers cannot be procured from.
+ *     tags: [Dealers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Dealer'
+ *               - type: object
+ *                 properties:
+ *                   isActive:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Dealer updated
+ *       400:
+ *         description: Validation error or name already registered
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Dealer not found
+ */
+router.patch('/:id',
+  protect,
+  authorize('Manager'),
+  [
+    ...dealerRules,
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dealer = await Dealer.findById(req.params.id);
+
+      if (!dealer) {
+        return res.status(404).json({ error: 'Dealer not found' });
+      }
+
+      auditBefore(res, dealer);
+
+      if (req.body.name && await nameTaken(req.body.name, dealer._id)) {
+        return res.status(400).json({ error: `A dealer named ${req.body.name} is already registered` });
+      }
+
+      ['name', 'contact', 'location', 'isActive'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          dealer[field] = req.body[field];
+        }
+      });
+
+      await dealer.save();
+
+      res.status(200).json({
+        success: true,
+        data: dealer
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /dealers/{id}:
+ *   delete:
+ *     summary: Delete a dealer with no procurements (Manager only)
+ *     description: Dealers that have been procured from cannot be deleted; deactivate them with PATCH instead.
+ *     tags: [Dealers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dealer deleted
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Dealer not found
+ *       409:
+ *         description: Dealer has procurements
+ */
+router.delete('/:id', protect, authorize('Manager'), async (req, res) => {
+  try {
+    const dealer = await Dealer.findById(req.params.id);
+
+    if (!dealer) {
+      return res.status(404).json({ error: 'Dealer not found' });
+    }
+
+    auditBefore(res, dealer);
+
+    if (await Procurement.exists({ dealer: dealer._id })) {
+      return res.status(409).json({ error: 'Dealer has procurements and cannot be deleted; deactivate them instead' });
+    }
+
+    await dealer.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: dealer
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,372 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Prices
+ *   description: Selling price lists per produce and branch, with effective dates
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Price = require('../models/Price');
+const { Produce } = require('../models/Produce');
+const { protect, authorize } = require('../middleware/auth');
+const { dateRange, listRules, listOptions, pageInfo, textFilters } = require('../utils/listQuery');
+const { auditBefore } = require('../middleware/audit');
+
+const BRANCHES = ['Maganjo', 'Matugga'];
+
+const PRICE_SORT_FIELDS = ['effectiveFrom', 'createdAt', 'produceName', 'branch', 'price'];
+
+const branchRule = (field) => field.isIn(BRANCHES).withMessage('Branch must be Maganjo or Matugga');
+
+/**
+ * @swagger
+ * /prices:
+ *   get:
+ *     summary: Selling prices in force at a moment
+ *     description: >
+ *       Resolves the price per kg of each active produce in the catalog at each branch at the
+ *       given moment: the latest price list entry effective on or before it. Produce with no
+ *       price list entry in force is priced from its latest procurement, as sales are, and
+ *       reported with source "procurement"; produce with neither has a null price.
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *         description: One branch (defaults to both)
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Moment to resolve prices at (defaults to now)
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *         description: One produce, by catalog name or alias
+ *     responses:
+ *       200:
+ *         description: One price per produce and branch
+ *       400:
+ *         description: Invalid query parameters or produce not in the catalog
+ */
+router.get('/',
+  protect,
+  [
+    branchRule(query('branch').optional()),
+    ...textFilters('produceName'),
+    query('at').optional().isString().withMessage('at must be given once').bail()
+      .isISO8601().withMessage('at must be a valid date'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const at = req.query.at ? new Date(req.query.at) : new Date();
+      const branches = req.query.branch ? [req.query.branch] : BRANCHES;
+
+      let catalog;
+      if (req.query.produceName) {
+        const produce = await Produce.findByName(req.query.produceName);
+        if (!produce) {
+          return res.status(400).json({ error: `${req.query.produceName.trim()} is not in the produce catalog` });
+        }
+        catalog = [produce];
+      } else {
+        catalog = await Produce.find({ isActive: true }).sort({ name: 1 });
+      }
+
+      const prices = [];
+      for (const produce of catalog) {
+        for (const branch of branches) {
+          const price = await Price.priceInForce(produce.name, branch, at);
+          prices.push({
+            produce: produce._id,
+            produceName: produce.name,
+            branch,
+            unitPrice: price ? price.unitPrice : null,
+            source: price ? price.source : null,
+            priceEntry: price ? price.priceEntry : null,
+            effectiveFrom: price ? price.effectiveFrom : null,
+          });
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        at,
+        count: prices.length,
+        data: prices
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /prices/history:
+ *   get:
+ *     summary: Price list entries, past and scheduled
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -effectiveFrom
+ *         description: Comma-separated fields, prefix with - for descending (effectiveFrom, createdAt, produceName, branch, price)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Effective from, inclusive
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Effective to, inclusive
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *     responses:
+ *       200:
+ *         description: A page of price list entries with total count and next/prev links
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/history',
+  protect,
+  [
+    ...listRules(PRICE_SORT_FIELDS),
+    ...textFilters('produceName'),
+    branchRule(query('branch').optional()),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filter = dateRange('effectiveFrom', req.query.from, req.query.to);
+
+      if (req.query.produceName) {
+        const produce = await Produce.findByName(req.query.produceName);
+        filter.produceName = produce ? produce.name : req.query.produceName.trim();
+      }
+
+      if (req.query.branch) {
+        filter.branch = req.query.branch;
+      }
+
+      const options = listOptions(req, { effectiveFrom: -1, produceName: 1 });
+
+      const [prices, total] = await Promise.all([
+        Price.find(filter)
+          .populate('setBy', 'name email')
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        Price.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: prices.length,
+        ...pageInfo(req, total, options),
+        data: prices
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /prices:
+ *   post:
+ *     summary: Set a selling price from a given moment (Manager only)
+ *     description: >
+ *       The price applies to sales of the produce at the branch from effectiveFrom until the
+ *       next price set for them. Earlier prices stay in the history, and sales already
+ *       recorded keep the price they were made at.
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - produceName
+ *               - branch
+ *               - price
+ *             properties:
+ *               produceName:
+ *                 type: string
+ *                 description: Name or alias of an active produce in the catalog
+ *               branch:
+ *                 type: string
+ *                 enum: [Maganjo, Matugga]
+ *               price:
+ *                 type: number
+ *                 minimum: 1000
+ *                 description: Selling price per kg in UgX
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the price takes effect, now or later (defaults to now)
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Price set
+ *       400:
+ *         description: Validation error or produce not in the catalog or inactive
+ *       403:
+ *         description: Forbidden - Managers only
+ *       409:
+ *         description: A price already takes effect at that moment
+ */
+router.post('/',
+  protect,
+  authorize('Manager'),
+  [
+    body('produceName').notEmpty().withMessage('Produce name is required'),
+    branchRule(body('branch')),
+    body('price').isFloat({ min: 1000 }).withMessage('Selling price must be at least 1,000 UgX'),
+    body('effectiveFrom').optional().isISO8601().withMessage('Please enter a valid effective-from date')
+      .bail()
+      .custom((value) => new Date(value) >= new Date())
+      .withMessage('A price cannot take effect in the past, as sales already recorded keep their price'),
+    body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { produce, error } = await Produce.resolveActive(req.body.produceName);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const price = await Price.create({
+        produce: produce._id,
+        produceName: produce.name,
+        branch: req.body.branch,
+        price: Number(req.body.price),
+        effectiveFrom: req.body.effectiveFrom || new Date(),
+        note: req.body.note,
+        setBy: req.user._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: price
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A price for this produce and branch already takes effect at that moment' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /prices/{id}:
+ *   delete:
+ *     summary: Withdraw a scheduled price before it takes effect (Manager only)
+ *     description: Prices that have taken effect are part of the history and cannot be removed; set a new price instead.
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled price withdrawn
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Price not found
+ *       409:
+ *         description: Price has already taken effect
+ */
+router.delete('/:id', protect, authorize('Manager'), async (req, res) => {
+  try {
+    const price = await Price.findById(req.params.id);
+
+    if (!price) {
+      return res.status(404).json({ error: 'Price not found' });
+    }
+
+    auditBefore(res, price);
+
+    if (price.effectiveFrom <= new Date()) {
+      return res.status(409).json({ error: 'Price has already taken effect and cannot be withdrawn; set a new price instead' });
+    }
+
+    await price.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: price
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -7,9 +7,155 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Procurement = require('../models/Procurement');
-const { protect, authorize } = require('../middleware/auth');
+const Stock = require('../models/Stock');
+const Dealer = require('../models/Dealer');
+const { Produce, aliasKey, produceFields } = require('../models/Produce');
+const { protect, authorize, branchFilter } = require('../middleware/auth');
+const { dateRange, listRules, listOptions, pageInfo, textFilters } = require('../utils/listQuery');
+const { reasonRules, reviewRules } = require('../utils/revisionRules');
+const { notVoided } = require('../models/plugins/revisable');
+const { auditBefore } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+const { formatRule, exportFormat, streamExport } = require('../utils/exporter');
+const { csvUpload, parseCsv, validateRow } = require('../utils/importer');
+
+const PROCUREMENT_SORT_FIELDS = ['date', 'createdAt', 'produceName', 'tonnage', 'cost', 'sellingPrice', 'dealerName', 'branch'];
+
+const PROCUREMENT_EXPORT_COLUMNS = [
+  { header: 'Date', value: (p) => p.date, type: 'date' },
+  { header: 'Time', value: (p) => p.time },
+  { header: 'Branch', value: (p) => p.branch },
+  { header: 'Produce', value: (p) => p.produceName },
+  { header: 'Produce Type', value: (p) => p.produceType },
+  { header: 'Tonnage (kg)', value: (p) => p.tonnage, type: 'number' },
+  { header: 'Cost', value: (p) => p.cost, type: 'money' },
+  { header: 'Selling Price per kg', value: (p) => p.sellingPrice, type: 'money' },
+  { header: 'Dealer', value: (p) => p.dealerName },
+  { header: 'Dealer Contact', value: (p) => p.contact },
+  { header: 'Recorded By', value: (p) => p.recordedBy && p.recordedBy.name },
+  { header: 'Voided', value: (p) => Boolean(p.isVoided) },
+];
+
+// Fields a correction may change. Branch and dealer are fixed: void and re-record
+// instead. Dealer details are edited in the dealer registry, and the produce type
+// follows the produce catalog.
+const PROCUREMENT_EDITABLE_FIELDS = [
+  'produceName', 'date', 'time', 'tonnage', 'cost', 'sellingPrice',
+];
+
+const procurementRules = [
+  body('produceName').notEmpty().withMessage('Produce name is required')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Produce name must be alphanumeric'),
+  body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Please enter valid time (HH:MM)'),
+  body('tonnage').isInt({ min: 100 }).withMessage('Tonnage must be at least 100 kg'),
+  body('cost').isFloat({ min: 10000 }).withMessage('Cost must be at least 10,000 UgX'),
+  body('dealer').optional().isMongoId().withMessage('dealer must be a valid dealer ID'),
+  body('dealerName').if(body('dealer').not().exists())
+    .isLength({ min: 2 }).withMessage('Dealer name must be at least 2 characters')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Dealer name must be alphanumeric'),
+  body('branch').isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+  body('sellingPrice').isFloat({ min: 1000 }).withMessage('Selling price must be at least 1,000 UgX'),
+];
+
+// CSV columns for bulk import. Our own export headers are accepted, so an
+// exported file can be edited and imported again.
+const PROCUREMENT_IMPORT_COLUMNS = [
+  { field: 'produceName', headers: ['Produce', 'Produce Name'], required: true },
+  { field: 'date', headers: ['Date'], type: 'date' },
+  { field: 'time', headers: ['Time'], required: true },
+  { field: 'tonnage', headers: ['Tonnage (kg)', 'Tonnage'], type: 'number', required: true },
+  { field: 'cost', headers: ['Cost'], type: 'number', required: true },
+  { field: 'dealerName', headers: ['Dealer', 'Dealer Name'], required: true },
+  { field: 'branch', headers: ['Branch'], required: true },
+  { field: 'sellingPrice', headers: ['Selling Price per kg', 'Selling Price'], type: 'number', required: true },
+];
+
+const procurementImportRules = [
+  ...procurementRules,
+  body('date').optional().isISO8601({ strict: true }).withMessage('Please enter a valid date (YYYY-MM-DD or DD/MM/YYYY)'),
+];
+
+const procurementChangeRules = [
+  body('produceName').optional().matches(/^[a-zA-Z0-9\s]+$/).withMessage('Produce name must be alphanumeric'),
+  body('date').optional().isISO8601({ strict: true }).withMessage('Please enter a valid date'),
+  body('time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Please enter valid time (HH:MM)'),
+  body('tonnage').optional().isInt({ min: 100 }).withMessage('Tonnage must be at least 100 kg'),
+  body('cost').optional().isFloat({ min: 10000 }).withMessage('Cost must be at least 10,000 UgX'),
+  body('sellingPrice').optional().isFloat({ min: 1000 }).withMessage('Selling price must be at least 1,000 UgX'),
+];
+
+// The registered dealer a new procurement names, by dealer ID or by name.
+// Resolves to { dealer } or, when there is no active one, { error }.
+const resolveDealer = async ({ dealer, dealerName }) => {
+  const found = dealer ? await Dealer.findById(dealer) : await Dealer.findByName(dealerName);
+
+  if (!found) {
+    return { error: dealer ? 'Dealer not found' : `Dealer ${dealerName} is not registered; register them first` };
+  }
+  if (!found.isActive) {
+    return { error: `Dealer ${found.name} is inactive and cannot be procured from` };
+  }
+  return { dealer: found };
+};
+
+// Procurements carry the registry's name and contact for their dealer
+const dealerFields = (dealer) => ({ dealer: dealer._id, dealerName: dealer.name, contact: dealer.contact });
+
+const pickChanges = (source) => {
+  const changes = {};
+  PROCUREMENT_EDITABLE_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) {
+      changes[field] = source[field];
+    }
+  });
+  return changes;
+};
+
+// Apply a correction, moving branch stock from the old produce/tonnage to the new.
+// Resolves to { changed } or, when it cannot be applied, { status, error }.
+const applyProcurementCorrection = async (procurement, changes, user, reason) => {
+  if (changes.produceName !== undefined) {
+    const { produce, error } = await Produce.resolveActive(changes.produceName);
+    if (error) {
+      return { status: 400, error };
+    }
+    changes = { ...changes, ...produceFields(produce) };
+  }
+
+  const before = { produceName: procurement.produceName, branch: procurement.branch, tonnage: procurement.tonnage };
+
+  const changed = procurement.applyCorrection(changes, user, reason);
+  if (!changed.length) {
+    return { status: 400, error: 'Correction does not change any values' };
+  }
+
+  await procurement.validate();
+
+  const moved = await Stock.applyMovements([
+    { produceName: before.produceName, branch: before.branch, quantity: -before.tonnage },
+    { produceName: procurement.produceName, branch: procurement.branch, quantity: procurement.tonnage },
+  ]);
+  if (!moved) {
+    return {
+      status: 409,
+      error: `Cannot correct: ${before.branch} no longer holds the ${before.tonnage} kg of ${before.produceName} this procurement added`
+    };
+  }
+
+  try {
+    await procurement.save();
+  } catch (error) {
+    await Stock.applyMovements([
+      { produceName: procurement.produceName, branch: procurement.branch, quantity: -procurement.tonnage },
+      { produceName: before.produceName, branch: before.branch, quantity: before.tonnage },
+    ]);
+    throw error;
+  }
+
+  return { changed };
+};
 
 /**
  * @swagger
@@ -19,6 +165,8 @@ const { protect, authorize } = require('../middleware/auth');
  *     tags: [Procurement]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -27,19 +175,15 @@ const { protect, authorize } = require('../middleware/auth');
  *             type: object
  *             required:
  *               - produceName
- *               - produceType
  *               - time
  *               - tonnage
  *               - cost
- *               - dealerName
  *               - branch
- *               - contact
  *               - sellingPrice
  *             properties:
  *               produceName:
  *                 type: string
- *               produceType:
- *                 type: string
+ *                 description: Name or alias of an active produce in the catalog; the type is taken from the catalog
  *               date:
  *                 type: string
  *                 format: date
@@ -52,42 +196,36 @@ const { protect, authorize } = require('../middleware/auth');
  *               cost:
  *                 type: number
  *                 minimum: 10000
+ *               dealer:
+ *                 type: string
+ *                 description: ID of a registered dealer
  *               dealerName:
  *                 type: string
+ *                 description: Name of a registered dealer (ignoring case), when dealer is not given
  *               branch:
  *                 type: string
  *                 enum: [Maganjo, Matugga]
- *               contact:
- *                 type: string
  *               sellingPrice:
  *                 type: number
  *                 minimum: 1000
+ *                 description: Prices sales of the produce at the branch until it has a price list entry (POST /prices)
  *     responses:
  *       201:
- *         description: Procurement recorded successfully
+ *         description: Procurement recorded successfully and added to branch stock
  *       400:
- *         description: Validation error
+ *         description: Validation error, or dealer or produce not registered or inactive
  *       401:
  *         description: Not authorized
  *       403:
  *         description: Forbidden - Managers only
+ *       422:
+ *         description: Idempotency-Key already used for a different request
  */
 router.post('/',
   protect,
   authorize('Manager'),
-  [
-    body('produceName').matches(/^[a-zA-Z0-9\s]+$/).withMessage('Produce name must be alphanumeric'),
-    body('produceType').isLength({ min: 2 }).withMessage('Produce type must be at least 2 characters')
-      .matches(/^[a-zA-Z\s]+$/).withMessage('Produce type must contain only letters'),
-    body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Please enter valid time (HH:MM)'),
-    body('tonnage').isInt({ min: 100 }).withMessage('Tonnage must be at least 100 kg'),
-    body('cost').isFloat({ min: 10000 }).withMessage('Cost must be at least 10,000 UgX'),
-    body('dealerName').isLength({ min: 2 }).withMessage('Dealer name must be at least 2 characters')
-      .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Dealer name must be alphanumeric'),
-    body('branch').isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
-    body('contact').matches(/^[0-9]{10,12}$/).withMessage('Please enter a valid phone number'),
-    body('sellingPrice').isFloat({ min: 1000 }).withMessage('Selling price must be at least 1,000 UgX'),
-  ],
+  idempotent,
+  procurementRules,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -95,14 +233,35 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
+      const { dealer, error } = await resolveDealer(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const resolved = await Produce.resolveActive(req.body.produceName);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+
       const procurementData = {
         ...req.body,
+        ...dealerFields(dealer),
+        ...produceFields(resolved.produce),
         recordedBy: req.user._id,
         date: req.body.date || new Date()
       };
 
       const procurement = await Procurement.create(procurementData);
 
+      // Procured produce goes straight into the branch's stock
+      try {
+        await Stock.addStock(procurement.produceName, procurement.branch, procurement.tonnage);
+      } catch (error) {
+        // Remove the procurement if its stock could not be added
+        await Procurement.deleteOne({ _id: procurement._id });
+        throw error;
+      }
+
       res.status(201).json({
         success: true,
         data: procurement
@@ -113,35 +272,324 @@ router.post('/',
     }
 });
 
+// Validate every row of an import; resolves to the documents ready to insert
+// and a list of { row, errors } for the rows that are not
+const checkImportRows = async (rows, user) => {
+  const procurements = [];
+  const problems = [];
+
+  const dealers = {};
+  (await Dealer.find()).forEach((dealer) => { dealers[dealer.name.toLowerCase()] = dealer; });
+
+  // Catalog entries by name and by alias, in the form aliasKey() gives
+  const catalog = {};
+  (await Produce.find()).forEach((produce) => {
+    [produce.name, ...produce.aliases].forEach((name) => { catalog[aliasKey(name)] = produce; });
+  });
+
+  for (const [index, row] of rows.entries()) {
+    const errors = await validateRow(procurementImportRules, row);
+
+    const dealer = row.dealerName && dealers[row.dealerName.trim().toLowerCase()];
+    if (!errors.length && !(dealer && dealer.isActive)) {
+      errors.push({
+        path: 'dealerName',
+        msg: dealer ? `Dealer ${dealer.name} is inactive` : `Dealer ${row.dealerName} is not registered`
+      });
+    }
+
+    const produce = row.produceName && catalog[aliasKey(row.produceName)];
+    if (!errors.length && !(produce && produce.isActive)) {
+      errors.push({
+        path: 'produceName',
+        msg: produce ? `${produce.name} is inactive` : `${row.produceName} is not in the produce catalog`
+      });
+    }
+
+    const procurement = new Procurement({
+      ...row,
+      ...(dealer && dealerFields(dealer)),
+      ...(produce && produceFields(produce)),
+      recordedBy: user._id,
+      date: row.date || new Date()
+    });
+    const invalid = errors.length ? null : procurement.validateSync();
+    if (invalid) {
+      Object.values(invalid.errors).forEach((error) => errors.push({ path: error.path, msg: error.message }));
+    }
+
+    if (errors.length) {
+      // Row 1 of the file is the header
+      problems.push({ row: index + 2, errors: errors.map(({ path, msg }) => ({ path, msg })) });
+    } else {
+      procurements.push(procurement);
+    }
+  }
+
+  return { procurements, problems };
+};
+
+/**
+ * @swagger
+ * /procurement/import:
+ *   post:
+ *     summary: Import procurement records from a CSV file (Manager only)
+ *     description: >
+ *       Every row is checked with the same rules as recording a single procurement.
+ *       The import is all-or-nothing: if any row is invalid nothing is saved and the
+ *       errors are listed by row number. With dryRun=true the file is only checked.
+ *       Columns may use field names (produceName, tonnage, ...) or the headers of the
+ *       procurement CSV export; dates may be YYYY-MM-DD or DD/MM/YYYY. Each row's dealer
+ *       must be registered, and its contact is taken from the dealer registry. Each row's
+ *       produce must be in the produce catalog, which also supplies its type.
+ *     tags: [Procurement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate the file and report errors without saving anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV with a header row, at most 1000 rows and 2 MB
+ *     responses:
+ *       200:
+ *         description: Dry run result with row counts and any errors
+ *       201:
+ *         description: All rows imported and added to branch stock
+ *       400:
+ *         description: Unreadable file, or one or more invalid rows (nothing imported)
+ *       403:
+ *         description: Forbidden - Managers only
+ *       422:
+ *         description: Idempotency-Key already used for a different request
+ */
+router.post('/import',
+  protect,
+  authorize('Manager'),
+  csvUpload,
+  idempotent,
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const parsed = parseCsv(req.file.buffer, PROCUREMENT_IMPORT_COLUMNS);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      if (!parsed.rows.length) {
+        return res.status(400).json({ error: 'CSV has no data rows' });
+      }
+
+      const { procurements, problems } = await checkImportRows(parsed.rows, req.user);
+      const summary = {
+        total: parsed.rows.length,
+        valid: procurements.length,
+        invalid: problems.length,
+        errors: problems,
+      };
+
+      if (req.query.dryRun === 'true') {
+        return res.status(200).json({ success: true, dryRun: true, ...summary });
+      }
+
+      if (problems.length) {
+        return res.status(400).json({
+          error: `${problems.length} of ${summary.total} rows are invalid; nothing was imported`,
+          ...summary
+        });
+      }
+
+      const ids = procurements.map((procurement) => procurement._id);
+
+      try {
+        await Procurement.insertMany(procurements);
+      } catch (error) {
+        await Procurement.deleteMany({ _id: { $in: ids } });
+        throw error;
+      }
+
+      // Additions only, so this cannot fail for lack of stock
+      await Stock.applyMovements(procurements.map(({ produceName, branch, tonnage }) => ({
+        produceName, branch, quantity: tonnage
+      })));
+
+      res.locals.auditAfter = { imported: ids.length, procurementIds: ids };
+
+      res.status(201).json({
+        success: true,
+        imported: procurements.length,
+        data: procurements
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * @swagger
  * /procurement:
  *   get:
- *     summary: Get all procurement records
+ *     summary: Get procurement records for the caller's branch (all branches for managers)
  *     tags: [Procurement]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -date,produceName
+ *         description: Comma-separated fields, prefix with - for descending (date, createdAt, produceName, tonnage, cost, sellingPrice, dealerName, branch)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Procurement date from (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Procurement date to (inclusive)
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *       - in: query
+ *         name: dealerName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: recordedBy
+ *         schema:
+ *           type: string
+ *         description: ID of the user who recorded the procurement
+ *       - in: query
+ *         name: includeVoided
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include voided records
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *         description: csv or xlsx downloads every matching record (page and limit are ignored)
  *     responses:
  *       200:
- *         description: List of procurement records
+ *         description: A page of procurement records with total count and next/prev links, or a CSV/XLSX file
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Not authorized
  */
-router.get('/', protect, async (req, res) => {
-  try {
-    const procurements = await Procurement.find()
-      .populate('recordedBy', 'name email')
-      .sort({ createdAt: -1 });
-    
-    res.status(200).json({
-      success: true,
-      count: procurements.length,
-      data: procurements
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Server error' });
-  }
+router.get('/',
+  protect,
+  [
+    ...listRules(PROCUREMENT_SORT_FIELDS),
+    ...textFilters('produceName', 'branch', 'dealerName', 'recordedBy'),
+    query('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+    query('recordedBy').optional().isMongoId().withMessage('recordedBy must be a valid user ID'),
+    query('includeVoided').optional().isBoolean().withMessage('includeVoided must be true or false'),
+    formatRule,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let filter = dateRange('date', req.query.from, req.query.to);
+
+      ['produceName', 'branch', 'dealerName', 'recordedBy'].forEach((field) => {
+        if (req.query[field]) {
+          filter[field] = req.query[field].trim();
+        }
+      });
+
+      if (req.query.includeVoided !== 'true') {
+        filter = { ...filter, ...notVoided };
+      }
+
+      filter = { ...filter, ...branchFilter(req.user) };
+
+      const options = listOptions(req, { createdAt: -1 });
+
+      const format = exportFormat(req);
+      if (format) {
+        return await streamExport(res, {
+          format,
+          filename: 'procurement',
+          sheetName: 'Procurement',
+          columns: PROCUREMENT_EXPORT_COLUMNS,
+          rows: Procurement.find(filter).populate('recordedBy', 'name').sort(options.sort).cursor(),
+        });
+      }
+
+      const [procurements, total] = await Promise.all([
+        Procurement.find(filter)
+          .populate('recordedBy', 'name email')
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        Procurement.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: procurements.length,
+        ...pageInfo(req, total, options),
+        data: procurements
+      });
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
 });
 
 /**
@@ -162,11 +610,11 @@ router.get('/', protect, async (req, res) => {
  *       200:
  *         description: Procurement record
  *       404:
- *         description: Record not found
+ *         description: Record not found in the caller's branch
  */
 router.get('/:id', protect, async (req, res) => {
   try {
-    const procurement = await Procurement.findById(req.params.id)
+    const procurement = await Procurement.findOne({ _id: req.params.id, ...branchFilter(req.user) })
       .populate('recordedBy', 'name email');
     
     if (!procurement) {
@@ -183,4 +631,395 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProcurementChanges:
+ *       type: object
+ *       properties:
+ *         produceName:
+ *           type: string
+ *           description: Name or alias of an active produce in the catalog
+ *         date:
+ *           type: string
+ *           format: date
+ *         time:
+ *           type: string
+ *           pattern: '^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$'
+ *         tonnage:
+ *           type: number
+ *           minimum: 100
+ *         cost:
+ *           type: number
+ *           minimum: 10000
+ *         sellingPrice:
+ *           type: number
+ *           minimum: 1000
+ *     Reason:
+ *       type: object
+ *       required:
+ *         - reasonCode
+ *         - reason
+ *       properties:
+ *         reasonCode:
+ *           type: string
+ *           enum: [Data Entry Error, Duplicate Entry, Customer Return, Cancelled, Other]
+ *         reason:
+ *           type: string
+ *           maxLength: 500
+ */
+
+/**
+ * @swagger
+ * /procurement/{id}:
+ *   patch:
+ *     summary: Correct a procurement record (Manager only)
+ *     description: The replaced values are kept in the record's revision history and branch stock is adjusted to the corrected tonnage.
+ *     tags: [Procurement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ProcurementChanges'
+ *               - $ref: '#/components/schemas/Reason'
+ *     responses:
+ *       200:
+ *         description: Procurement corrected
+ *       400:
+ *         description: Validation error or nothing to change
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Record not found in the caller's branch
+ *       409:
+ *         description: Record is voided or was changed by another request meanwhile, or the stock it added has already been sold
+ */
+router.patch('/:id',
+  protect,
+  authorize('Manager'),
+  [...reasonRules, ...procurementChangeRules],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const procurement = await Procurement.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!procurement) {
+        return res.status(404).json({ error: 'Procurement record not found' });
+      }
+
+      auditBefore(res, procurement);
+
+      if (procurement.isVoided) {
+        return res.status(409).json({ error: 'Procurement record has been voided' });
+      }
+
+      const result = await applyProcurementCorrection(procurement, pickChanges(req.body), req.user, req.body);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.status(200).json({
+        success: true,
+        changed: result.changed,
+        data: procurement
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ error: 'Procurement record was changed by another request meanwhile; reload it and try again' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /procurement/{id}:
+ *   delete:
+ *     summary: Void a procurement record (Manager only)
+ *     description: The record is kept and can still be retrieved, but its tonnage is taken back out of branch stock and it no longer counts towards totals.
+ *     tags: [Procurement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Reason'
+ *     responses:
+ *       200:
+ *         description: Procurement voided
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Record not found in the caller's branch
+ *       409:
+ *         description: Already voided or changed by another request meanwhile, or the stock it added has already been sold
+ */
+router.delete('/:id',
+  protect,
+  authorize('Manager'),
+  reasonRules,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const procurement = await Procurement.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!procurement) {
+        return res.status(404).json({ error: 'Procurement record not found' });
+      }
+
+      auditBefore(res, procurement);
+
+      if (procurement.isVoided) {
+        return res.status(409).json({ error: 'Procurement record is already voided' });
+      }
+
+      const { produceName, branch, tonnage } = procurement;
+      const released = await Stock.applyMovements([{ produceName, branch, quantity: -tonnage }]);
+      if (!released) {
+        return res.status(409).json({
+          error: `Cannot void: ${branch} no longer holds the ${tonnage} kg of ${produceName} this procurement added`
+        });
+      }
+
+      procurement.voidRecord(req.user, req.body);
+
+      try {
+        await procurement.save();
+      } catch (error) {
+        await Stock.addStock(produceName, branch, tonnage);
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: procurement
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ error: 'Procurement record was changed by another request meanwhile; reload it and try again' });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /procurement/{id}/corrections:
+ *   post:
+ *     summary: Request a correction for a manager to approve
+ *     tags: [Procurement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ProcurementChanges'
+ *               - $ref: '#/components/schemas/Reason'
+ *     responses:
+ *       201:
+ *         description: Correction request recorded as Pending
+ *       400:
+ *         description: Validation error or nothing to change
+ *       404:
+ *         description: Record not found in the caller's branch
+ *       409:
+ *         description: Record is voided or was changed by another request meanwhile
+ */
+router.post('/:id/corrections',
+  protect,
+  [...reasonRules, ...procurementChangeRules],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const changes = pickChanges(req.body);
+      if (!Object.keys(changes).length) {
+        return res.status(400).json({ error: `No correctable fields given. Allowed: ${PROCUREMENT_EDITABLE_FIELDS.join(', ')}` });
+      }
+
+      const procurement = await Procurement.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!procurement) {
+        return res.status(404).json({ error: 'Procurement record not found' });
+      }
+
+      auditBefore(res, procurement);
+
+      if (procurement.isVoided) {
+        return res.status(409).json({ error: 'Procurement record has been voided' });
+      }
+
+      procurement.correctionRequests.push({
+        changes,
+        reasonCode: req.body.reasonCode,
+        reason: req.body.reason,
+        requestedBy: req.user._id
+      });
+      await procurement.save();
+
+      res.status(201).json({
+        success: true,
+        data: procurement.correctionRequests[procurement.correctionRequests.length - 1]
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ error: 'Procurement record was changed by another request meanwhile; reload it and try again' });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /procurement/{id}/corrections/{requestId}:
+ *   patch:
+ *     summary: Approve or reject a correction request (Manager only)
+ *     tags: [Procurement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Approved, Rejected]
+ *               reviewNote:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request reviewed; approved changes are applied to the record
+ *       400:
+ *         description: Validation error or request already reviewed
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Record or request not found
+ *       409:
+ *         description: Record is voided or was changed by another request meanwhile, or the stock it added has already been sold
+ */
+router.patch('/:id/corrections/:requestId',
+  protect,
+  authorize('Manager'),
+  reviewRules,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const procurement = await Procurement.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+      const request = procurement && procurement.correctionRequests.id(req.params.requestId);
+
+      if (!request) {
+        return res.status(404).json({ error: 'Correction request not found' });
+      }
+
+      auditBefore(res, procurement);
+
+      if (request.status !== 'Pending') {
+        return res.status(400).json({ error: `Correction request is already ${request.status.toLowerCase()}` });
+      }
+
+      if (procurement.isVoided) {
+        return res.status(409).json({ error: 'Procurement record has been voided' });
+      }
+
+      request.status = req.body.status;
+      request.reviewedBy = req.user._id;
+      request.reviewedAt = new Date();
+      request.reviewNote = req.body.reviewNote;
+
+      let changed = [];
+      if (request.status === 'Approved') {
+        const result = await applyProcurementCorrection(procurement, request.changes, req.user, request);
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        changed = result.changed;
+      } else {
+        await procurement.save();
+      }
+
+      res.status(200).json({
+        success: true,
+        changed,
+        data: procurement
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ error: 'Procurement record was changed by another request meanwhile; reload it and try again' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
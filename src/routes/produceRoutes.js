@@ -0,0 +1,432 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Produce
+ *   description: Catalog of the produce that is procured and sold
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { Produce, PRODUCE_UNITS } = require('../models/Produce');
+const Procurement = require('../models/Procurement');
+const Price = require('../models/Price');
+const { Sale } = require('../models/Sale');
+const { protect, authorize } = require('../middleware/auth');
+const { listRules, listOptions, pageInfo, escapeRegExp, textFilters } = require('../utils/listQuery');
+const { auditBefore } = require('../middleware/audit');
+
+const PRODUCE_SORT_FIELDS = ['name', 'type', 'unit', 'createdAt'];
+
+const produceRules = [
+  body('name').optional().isLength({ min: 2 }).withMessage('Produce name must be at least 2 characters')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Produce name must be alphanumeric'),
+  body('type').optional().isLength({ min: 2 }).withMessage('Produce type must be at least 2 characters')
+    .matches(/^[a-zA-Z\s]+$/).withMessage('Produce type must contain only letters'),
+  body('unit').optional().isIn(PRODUCE_UNITS).withMessage(`Unit must be one of: ${PRODUCE_UNITS.join(', ')}`),
+  body('aliases').optional().isArray().withMessage('Aliases must be a list of names'),
+  body('aliases.*').isString().withMessage('Each alias must be text')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Aliases must be alphanumeric'),
+];
+
+// The first of these names or aliases that another catalog entry already uses
+const nameClash = async (names, exceptId) => {
+  for (const name of names) {
+    const existing = await Produce.findByName(name);
+    if (existing && !existing._id.equals(exceptId)) {
+      return `${name} is already used by ${existing.name}`;
+    }
+  }
+  return null;
+};
+
+// Whether any procurement, sale or price is recorded against a catalog entry
+const isReferenced = async (produce) => {
+  const [procured, sold, priced] = await Promise.all([
+    Procurement.exists({ produce: produce._id }),
+    Sale.exists({ produce: produce._id }),
+    Price.exists({ produce: produce._id }),
+  ]);
+  return Boolean(procured || sold || priced);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Produce:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 2
+ *         type:
+ *           type: string
+ *           minLength: 2
+ *         unit:
+ *           type: string
+ *           enum: [kg, bag, crate, bunch]
+ *           default: kg
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Other spellings that should be recorded as this produce
+ */
+
+/**
+ * @swagger
+ * /produce:
+ *   post:
+ *     summary: Add produce to the catalog (Manager only)
+ *     tags: [Produce]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Produce'
+ *               - required:
+ *                   - name
+ *                   - type
+ *     responses:
+ *       201:
+ *         description: Produce added
+ *       400:
+ *         description: Validation error, or name or alias already in the catalog
+ *       403:
+ *         description: Forbidden - Managers only
+ */
+router.post('/',
+  protect,
+  authorize('Manager'),
+  [
+    body('name').exists().withMessage('Produce name is required'),
+    body('type').exists().withMessage('Produce type is required'),
+    ...produceRules,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, type, unit, aliases = [] } = req.body;
+
+      const clash = await nameClash([name, ...aliases]);
+      if (clash) {
+        return res.status(400).json({ error: clash });
+      }
+
+      const produce = await Produce.create({ name, type, unit, aliases, createdBy: req.user._id });
+
+      res.status(201).json({
+        success: true,
+        data: produce
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ error: `${req.body.name} is already in the catalog` });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /produce:
+ *   get:
+ *     summary: List the produce catalog
+ *     tags: [Produce]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: name
+ *         description: Comma-separated fields, prefix with - for descending (name, type, unit, createdAt)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the produce name or one of its aliases
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: A page of produce with total count and next/prev links
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/',
+  protect,
+  [
+    ...listRules(PRODUCE_SORT_FIELDS),
+    ...textFilters('search', 'type'),
+    query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filter = {};
+
+      if (req.query.search) {
+        const search = new RegExp(escapeRegExp(req.query.search.trim()), 'i');
+        filter.$or = [{ name: search }, { aliases: search }];
+      }
+
+      if (req.query.type) {
+        filter.type = new RegExp(`^${escapeRegExp(req.query.type.trim())}$`, 'i');
+      }
+
+      if (req.query.isActive !== undefined) {
+        filter.isActive = req.query.isActive === 'true';
+      }
+
+      const options = listOptions(req, { name: 1 });
+
+      const [produce, total] = await Promise.all([
+        Produce.find(filter)
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        Produce.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: produce.length,
+        ...pageInfo(req, total, options),
+        data: produce
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /produce/{id}:
+ *   get:
+ *     summary: Get a single catalog entry
+ *     tags: [Produce]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Produce
+ *       404:
+ *         description: Produce not found
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const produce = await Produce.findById(req.params.id);
+
+    if (!produce) {
+      return res.status(404).json({ error: 'Produce not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: produce
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /produce/{id}:
+ *   patch:
+ *     summary: Update a catalog entry (Manager only)
+ *     description: >
+ *       Produce that has been procured, sold or priced cannot be renamed, because stock and past
+ *       records are kept under its name; add the new spelling as an alias instead. Changing
+ *       the type applies to new records only. Inactive produce cannot be procured or sold.
+ *     tags: [Produce]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Produce'
+ *               - type: object
+ *                 properties:
+ *                   isActive:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Produce updated
+ *       400:
+ *         description: Validation error, or name or alias already in the catalog
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Produce not found
+ *       409:
+ *         description: Renaming produce that has been procured, sold or priced
+ */
+router.patch('/:id',
+  protect,
+  authorize('Manager'),
+  [
+    ...produceRules,
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const produce = await Produce.findById(req.params.id);
+
+      if (!produce) {
+        return res.status(404).json({ error: 'Produce not found' });
+      }
+
+      auditBefore(res, produce);
+
+      // Stock, prices and records match the name exactly, so a change of case or
+      // spacing is a rename too
+      const renamed = req.body.name !== undefined && String(req.body.name).trim() !== produce.name;
+
+      if (renamed && await isReferenced(produce)) {
+        return res.status(409).json({
+          error: `${produce.name} has been procured, sold or priced and cannot be renamed; add ${req.body.name} as an alias instead`
+        });
+      }
+
+      const clash = await nameClash([...(renamed ? [req.body.name] : []), ...(req.body.aliases || [])], produce._id);
+      if (clash) {
+        return res.status(400).json({ error: clash });
+      }
+
+      ['name', 'type', 'unit', 'aliases', 'isActive'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          produce[field] = req.body[field];
+        }
+      });
+
+      await produce.save();
+
+      res.status(200).json({
+        success: true,
+        data: produce
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ error: `${req.body.name} is already in the catalog` });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /produce/{id}:
+ *   delete:
+ *     summary: Remove produce that was never procured, sold or priced (Manager only)
+ *     description: Produce with procurements, sales or prices cannot be deleted; deactivate it with PATCH instead.
+ *     tags: [Produce]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Produce deleted
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Produce not found
+ *       409:
+ *         description: Produce has procurements, sales or prices
+ */
+router.delete('/:id', protect, authorize('Manager'), async (req, res) => {
+  try {
+    const produce = await Produce.findById(req.params.id);
+
+    if (!produce) {
+      return res.status(404).json({ error: 'Produce not found' });
+    }
+
+    auditBefore(res, produce);
+
+    if (await isReferenced(produce)) {
+      return res.status(409).json({ error: `${produce.name} has procurements, sales or prices and cannot be deleted; deactivate it instead` });
+    }
+
+    await produce.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: produce
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,647 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Management and finance reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const { CashSale, CreditSale } = require('../models/Sale');
+const Procurement = require('../models/Procurement');
+const Dealer = require('../models/Dealer');
+const { protect, authorize } = require('../middleware/auth');
+const { notVoided } = require('../models/plugins/revisable');
+const { dateRange, endOfRange, dateRules, textFilters } = require('../utils/listQuery');
+const { formatRule, exportFormat, streamExport } = require('../utils/exporter');
+const { COSTING_METHODS, costSales } = require('../utils/costing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGING_BUCKETS = ['current', '1-30', '31-60', '61-90', '90+'];
+
+const agingBucket = (daysOverdue) => {
+  if (daysOverdue <= 0) return 'current';
+  if (daysOverdue <= 30) return '1-30';
+  if (daysOverdue <= 60) return '31-60';
+  if (daysOverdue <= 90) return '61-90';
+  return '90+';
+};
+
+const AGING_EXPORT_COLUMNS = AGING_BUCKETS.map((bucket) => ({
+  header: bucket === 'current' ? 'Current' : `${bucket} Days Overdue`,
+  value: (row) => row[bucket],
+  type: 'money',
+})).concat({ header: 'Total Outstanding', value: (row) => row.total, type: 'money' });
+
+const emptyAgingRow = () => {
+  const row = { total: 0 };
+  AGING_BUCKETS.forEach((bucket) => { row[bucket] = 0; });
+  return row;
+};
+
+// Rows in branch order; records from before branches existed may have none
+const byBranchName = (a, b) => String(a.branch || '').localeCompare(String(b.branch || ''));
+
+/**
+ * @swagger
+ * /reports/credit-aging:
+ *   get:
+ *     summary: Outstanding credit balances bucketed by days overdue (Manager only)
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to age balances at (defaults to now)
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *         description: Only include credit sales from this branch
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [buyer, branch]
+ *           default: buyer
+ *         description: Rows of a csv or xlsx export
+ *     responses:
+ *       200:
+ *         description: Aging buckets (current, 1-30, 31-60, 61-90, 90+) by buyer and by branch, with totals, or a CSV/XLSX file
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only
+ */
+router.get('/credit-aging',
+  protect,
+  authorize('Manager'),
+  [
+    query('asOf').optional().isISO8601().withMessage('Please enter a valid asOf date'),
+    query('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+    query('groupBy').optional().isIn(['buyer', 'branch']).withMessage('groupBy must be buyer or branch'),
+    formatRule,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+      let filter = { isPaid: false, ...notVoided };
+      if (req.query.branch) {
+        filter.branch = req.query.branch;
+      }
+
+      const sales = await CreditSale.find(filter)
+        .select('buyerName nationalId branch amountDue outstandingBalance dueDate')
+        .lean();
+
+      const totals = emptyAgingRow();
+      const byBranch = {};
+      const byBuyer = {};
+
+      sales.forEach((sale) => {
+        const balance = sale.outstandingBalance !== undefined && sale.outstandingBalance !== null
+          ? sale.outstandingBalance
+          : sale.amountDue;
+
+        if (balance <= 0) return;
+
+        const daysOverdue = Math.floor((asOf - new Date(sale.dueDate)) / DAY_MS);
+        const bucket = agingBucket(daysOverdue);
+        const branch = sale.branch || 'Unassigned';
+
+        if (!byBranch[branch]) {
+          byBranch[branch] = { branch, ...emptyAgingRow() };
+        }
+
+        if (!byBuyer[sale.nationalId]) {
+          byBuyer[sale.nationalId] = {
+            nationalId: sale.nationalId,
+            buyerName: sale.buyerName,
+            salesCount: 0,
+            maxDaysOverdue: 0,
+            ...emptyAgingRow()
+          };
+        }
+
+        const buyer = byBuyer[sale.nationalId];
+        buyer.salesCount += 1;
+        buyer.maxDaysOverdue = Math.max(buyer.maxDaysOverdue, daysOverdue);
+
+        [totals, byBranch[branch], buyer].forEach((row) => {
+          row[bucket] += balance;
+          row.total += balance;
+        });
+      });
+
+      const format = exportFormat(req);
+      if (format) {
+        const byBranchExport = req.query.groupBy === 'branch';
+        const rows = byBranchExport
+          ? Object.values(byBranch).sort(byBranchName)
+          : Object.values(byBuyer).sort((a, b) => b.total - a.total);
+
+        const keyColumns = byBranchExport
+          ? [{ header: 'Branch', value: (row) => row.branch }]
+          : [
+            { header: 'Buyer', value: (row) => row.buyerName },
+            { header: 'Buyer NIN', value: (row) => row.nationalId },
+            { header: 'Credit Sales', value: (row) => row.salesCount, type: 'number' },
+            { header: 'Most Days Overdue', value: (row) => row.maxDaysOverdue, type: 'number' },
+          ];
+
+        return await streamExport(res, {
+          format,
+          filename: `credit-aging-${asOf.toISOString().slice(0, 10)}`,
+          sheetName: 'Credit Aging',
+          columns: [...keyColumns, ...AGING_EXPORT_COLUMNS],
+          rows: [...rows, { branch: 'All branches', buyerName: 'All buyers', ...totals }],
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        asOf,
+        buckets: AGING_BUCKETS,
+        totals,
+        byBranch: Object.values(byBranch).sort(byBranchName),
+        byBuyer: Object.values(byBuyer).sort((a, b) => b.total - a.total)
+      });
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+const DEALER_EXPORT_COLUMNS = [
+  { header: 'Dealer', value: (row) => row.dealerName },
+  { header: 'Produce', value: (row) => row.produceName },
+  { header: 'Purchases', value: (row) => row.purchases, type: 'number' },
+  { header: 'Tonnage (kg)', value: (row) => row.tonnage, type: 'number' },
+  { header: 'Total Cost', value: (row) => row.cost, type: 'money' },
+  { header: 'Average Cost per kg', value: (row) => row.averageCostPerKg, type: 'money' },
+  { header: 'First Purchase', value: (row) => row.firstPurchase, type: 'date' },
+  { header: 'Last Purchase', value: (row) => row.lastPurchase, type: 'date' },
+];
+
+const costPerKg = (cost, tonnage) => (tonnage ? Math.round((cost / tonnage) * 100) / 100 : 0);
+
+// How often a dealer was bought from: mean days between purchases, and
+// purchases per 30 days over the report period (or since their first purchase)
+const purchaseFrequency = (dealer, from, to) => {
+  const start = from || dealer.firstPurchase;
+  const periodDays = Math.max((to - start) / DAY_MS, 1);
+
+  return {
+    averageDaysBetweenPurchases: dealer.purchases > 1
+      ? Math.round((dealer.lastPurchase - dealer.firstPurchase) / DAY_MS / (dealer.purchases - 1) * 10) / 10
+      : null,
+    purchasesPer30Days: Math.round((dealer.purchases / periodDays) * 30 * 100) / 100,
+  };
+};
+
+/**
+ * @swagger
+ * /reports/dealers:
+ *   get:
+ *     summary: Supplier performance by dealer and produce (Manager only)
+ *     description: >
+ *       Tonnage, cost, average cost per kg and purchase frequency for each dealer over a period,
+ *       broken down by produce. Voided procurements are left out. Procurements recorded before the
+ *       dealer registry are grouped by dealer name.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Procurement date from (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Procurement date to (inclusive, defaults to now)
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *       - in: query
+ *         name: dealer
+ *         schema:
+ *           type: string
+ *         description: ID of a single dealer to report on
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *         description: csv or xlsx has one row per dealer and produce
+ *     responses:
+ *       200:
+ *         description: Per-dealer totals with a per-produce breakdown, or a CSV/XLSX file
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only
+ */
+router.get('/dealers',
+  protect,
+  authorize('Manager'),
+  [
+    ...dateRules(),
+    query('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+    query('dealer').optional().isMongoId().withMessage('dealer must be a valid dealer ID'),
+    formatRule,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? endOfRange(req.query.to) : new Date();
+
+      const filter = { ...dateRange('date', from, to), ...notVoided };
+      if (req.query.branch) {
+        filter.branch = req.query.branch;
+      }
+      if (req.query.dealer) {
+        filter.dealer = new mongoose.Types.ObjectId(req.query.dealer);
+      }
+
+      const groups = await Procurement.aggregate([
+        { $match: filter },
+        { $sort: { date: 1 } },
+        {
+          $group: {
+            _id: {
+              dealer: { $ifNull: ['$dealer', { $toLower: '$dealerName' }] },
+              produceName: '$produceName',
+            },
+            dealerName: { $last: '$dealerName' },
+            purchases: { $sum: 1 },
+            tonnage: { $sum: '$tonnage' },
+            cost: { $sum: '$cost' },
+            firstPurchase: { $min: '$date' },
+            lastPurchase: { $max: '$date' },
+          },
+        },
+      ]);
+
+      // Current names for registered dealers
+      const dealerIds = groups.map((group) => group._id.dealer).filter((id) => id instanceof mongoose.Types.ObjectId);
+      const names = {};
+      (await Dealer.find({ _id: { $in: dealerIds } }).select('name')).forEach((dealer) => {
+        names[dealer._id] = dealer.name;
+      });
+
+      const byDealer = {};
+      const totals = { purchases: 0, tonnage: 0, cost: 0 };
+
+      groups.forEach((group) => {
+        const key = String(group._id.dealer);
+        const registered = group._id.dealer instanceof mongoose.Types.ObjectId;
+
+        if (!byDealer[key]) {
+          byDealer[key] = {
+            dealer: registered ? group._id.dealer : null,
+            dealerName: names[key] || group.dealerName,
+            purchases: 0,
+            tonnage: 0,
+            cost: 0,
+            firstPurchase: group.firstPurchase,
+            lastPurchase: group.lastPurchase,
+            produce: [],
+          };
+        }
+
+        const dealer = byDealer[key];
+        dealer.produce.push({
+          produceName: group._id.produceName,
+          purchases: group.purchases,
+          tonnage: group.tonnage,
+          cost: group.cost,
+          averageCostPerKg: costPerKg(group.cost, group.tonnage),
+          firstPurchase: group.firstPurchase,
+          lastPurchase: group.lastPurchase,
+        });
+
+        [dealer, totals].forEach((row) => {
+          row.purchases += group.purchases;
+          row.tonnage += group.tonnage;
+          row.cost += group.cost;
+        });
+        if (group.firstPurchase < dealer.firstPurchase) dealer.firstPurchase = group.firstPurchase;
+        if (group.lastPurchase > dealer.lastPurchase) dealer.lastPurchase = group.lastPurchase;
+      });
+
+      const dealers = Object.values(byDealer)
+        .map((dealer) => ({
+          ...dealer,
+          averageCostPerKg: costPerKg(dealer.cost, dealer.tonnage),
+          ...purchaseFrequency(dealer, from, to),
+          produce: dealer.produce.sort((a, b) => b.tonnage - a.tonnage),
+        }))
+        .sort((a, b) => b.cost - a.cost);
+
+      const format = exportFormat(req);
+      if (format) {
+        const rows = dealers.flatMap((dealer) => dealer.produce.map((produce) => ({ dealerName: dealer.dealerName, ...produce })));
+
+        return await streamExport(res, {
+          format,
+          filename: `dealers-${to.toISOString().slice(0, 10)}`,
+          sheetName: 'Dealers',
+          columns: DEALER_EXPORT_COLUMNS,
+          rows,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        from,
+        to,
+        totals: { ...totals, averageCostPerKg: costPerKg(totals.cost, totals.tonnage), dealers: dealers.length },
+        dealers
+      });
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+const MARGIN_PERIODS = ['day', 'week', 'month', 'year'];
+
+// Label for the period a date falls in: 2024-05-17, week of Monday 2024-05-13, 2024-05 or 2024
+const periodOf = (date, period) => {
+  const day = new Date(date);
+  if (period === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  const iso = day.toISOString();
+  if (period === 'month') return iso.slice(0, 7);
+  if (period === 'year') return iso.slice(0, 4);
+  return iso.slice(0, 10);
+};
+
+const emptyMarginRow = () => ({ sales: 0, tonnage: 0, revenue: 0, cogs: 0, shortfall: 0 });
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Margin figures derived from a row's revenue and cost of goods sold
+const withMargin = (row) => ({
+  ...row,
+  revenue: roundMoney(row.revenue),
+  cogs: roundMoney(row.cogs),
+  grossMargin: roundMoney(row.revenue - row.cogs),
+  marginPercent: row.revenue ? Math.round(((row.revenue - row.cogs) / row.revenue) * 1000) / 10 : null,
+  costPerKg: row.tonnage ? roundMoney(row.cogs / row.tonnage) : null,
+  revenuePerKg: row.tonnage ? roundMoney(row.revenue / row.tonnage) : null,
+});
+
+const MARGIN_EXPORT_COLUMNS = [
+  { header: 'Period', value: (row) => row.period },
+  { header: 'Branch', value: (row) => row.branch },
+  { header: 'Produce', value: (row) => row.produceName },
+  { header: 'Sales', value: (row) => row.sales, type: 'number' },
+  { header: 'Tonnage Sold (kg)', value: (row) => row.tonnage, type: 'number' },
+  { header: 'Revenue', value: (row) => row.revenue, type: 'money' },
+  { header: 'Cost of Goods Sold', value: (row) => row.cogs, type: 'money' },
+  { header: 'Gross Margin', value: (row) => row.grossMargin, type: 'money' },
+  { header: 'Margin %', value: (row) => row.marginPercent, type: 'number' },
+  { header: 'Cost per kg', value: (row) => row.costPerKg, type: 'money' },
+  { header: 'Revenue per kg', value: (row) => row.revenuePerKg, type: 'money' },
+  { header: 'Tonnage Sold Beyond Procurement (kg)', value: (row) => row.shortfall, type: 'number' },
+];
+
+/**
+ * @swagger
+ * /reports/margins:
+ *   get:
+ *     summary: Gross margin by produce, branch and period (Manager only)
+ *     description: >
+ *       Revenue is what each cash sale was paid and what each credit sale is owed. Cost of goods
+ *       sold is worked out per produce and branch by replaying procurements and sales in date order,
+ *       using a moving weighted-average cost per kg or FIFO (oldest purchases sold first). Voided
+ *       records are left out. Sales of more than had been procured are costed at the latest
+ *       purchase price and counted in shortfall.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sale date from (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sale date to (inclusive, defaults to now)
+ *       - in: query
+ *         name: costing
+ *         schema:
+ *           type: string
+ *           enum: [weighted-average, fifo]
+ *           default: weighted-average
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, year]
+ *           default: month
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *         description: csv or xlsx has one row per period, branch and produce
+ *     responses:
+ *       200:
+ *         description: Totals, and margins by produce, by branch and by period, branch and produce; or a CSV/XLSX file
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only
+ */
+router.get('/margins',
+  protect,
+  authorize('Manager'),
+  [
+    ...dateRules(),
+    query('costing').optional().isIn(COSTING_METHODS).withMessage(`Costing must be one of: ${COSTING_METHODS.join(', ')}`),
+    query('period').optional().isIn(MARGIN_PERIODS).withMessage(`Period must be one of: ${MARGIN_PERIODS.join(', ')}`),
+    query('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+    ...textFilters('produceName'),
+    formatRule,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? endOfRange(req.query.to) : new Date();
+      const costing = req.query.costing || 'weighted-average';
+      const period = req.query.period || 'month';
+
+      // Costs depend on everything bought and sold before the period, so history is read from the start
+      const scope = { ...notVoided };
+      if (req.query.branch) {
+        scope.branch = req.query.branch;
+      }
+      if (req.query.produceName) {
+        scope.produceName = req.query.produceName.trim();
+      }
+
+      const [procurements, cashSales, creditSales] = await Promise.all([
+        Procurement.find({ ...scope, ...dateRange('date', null, to) })
+          .select('produceName branch date tonnage cost').lean(),
+        CashSale.find({ ...scope, ...dateRange('date', null, to) })
+          .select('produceName branch date tonnage amountPaid').lean(),
+        CreditSale.find({ ...scope, ...dateRange('dispatchDate', null, to) })
+          .select('produceName branch dispatchDate tonnage amountDue').lean(),
+      ]);
+
+      // One stream of movements per produce and branch. Records from before
+      // branches existed belong to no branch's stock and are left out.
+      const withBranch = (records) => records.filter((record) => record.branch);
+      const streams = {};
+      const streamFor = ({ produceName, branch }) => {
+        const key = `${branch}:${produceName}`;
+        if (!streams[key]) streams[key] = [];
+        return streams[key];
+      };
+
+      withBranch(procurements).forEach((p) => {
+        streamFor(p).push({ type: 'in', date: p.date, tonnage: p.tonnage, cost: p.cost });
+      });
+      withBranch(cashSales).forEach((sale) => {
+        streamFor(sale).push({
+          type: 'out', date: sale.date, tonnage: sale.tonnage, revenue: sale.amountPaid,
+          produceName: sale.produceName, branch: sale.branch
+        });
+      });
+      withBranch(creditSales).forEach((sale) => {
+        streamFor(sale).push({
+          type: 'out', date: sale.dispatchDate, tonnage: sale.tonnage, revenue: sale.amountDue,
+          produceName: sale.produceName, branch: sale.branch
+        });
+      });
+
+      const totals = emptyMarginRow();
+      const byProduce = {};
+      const byBranch = {};
+      const rows = {};
+
+      Object.values(streams).forEach((movements) => {
+        costSales(movements, costing).forEach((sale) => {
+          if (from && sale.date < from) return;
+
+          const label = periodOf(sale.date, period);
+          const rowKey = `${label}:${sale.branch}:${sale.produceName}`;
+          if (!rows[rowKey]) rows[rowKey] = { period: label, branch: sale.branch, produceName: sale.produceName, ...emptyMarginRow() };
+          if (!byProduce[sale.produceName]) byProduce[sale.produceName] = { produceName: sale.produceName, ...emptyMarginRow() };
+          if (!byBranch[sale.branch]) byBranch[sale.branch] = { branch: sale.branch, ...emptyMarginRow() };
+
+          [totals, byProduce[sale.produceName], byBranch[sale.branch], rows[rowKey]].forEach((row) => {
+            row.sales += 1;
+            row.tonnage += sale.tonnage;
+            row.revenue += sale.revenue;
+            row.cogs += sale.cogs;
+            row.shortfall += sale.shortfall;
+          });
+        });
+      });
+
+      const byGrossMargin = (a, b) => b.grossMargin - a.grossMargin;
+      const periodRows = Object.values(rows).map(withMargin).sort((a, b) => (
+        a.period.localeCompare(b.period) || byBranchName(a, b) || byGrossMargin(a, b)
+      ));
+
+      const format = exportFormat(req);
+      if (format) {
+        return await streamExport(res, {
+          format,
+          filename: `margins-${costing}-${to.toISOString().slice(0, 10)}`,
+          sheetName: 'Margins',
+          columns: MARGIN_EXPORT_COLUMNS,
+          rows: [...periodRows, { period: 'All', branch: 'All branches', produceName: 'All produce', ...withMargin(totals) }],
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        from,
+        to,
+        costing,
+        period,
+        totals: withMargin(totals),
+        byProduce: Object.values(byProduce).map(withMargin).sort(byGrossMargin),
+        byBranch: Object.values(byBranch).map(withMargin).sort(byGrossMargin),
+        byPeriod: periodRows
+      });
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
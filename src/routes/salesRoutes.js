@@ -7,18 +7,425 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const { CashSale, CreditSale } = require('../models/Sale');
-const { protect, authorize } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { Sale, CashSale, CreditSale } = require('../models/Sale');
+const Stock = require('../models/Stock');
+const Price = require('../models/Price');
+const Buyer = require('../models/Buyer');
+const { Produce, produceFields } = require('../models/Produce');
+const { CashClose, dayOf } = require('../models/CashClose');
+const { protect, authorize, canAccessAllBranches, branchFilter } = require('../middleware/auth');
+const { dateRange, endOfRange, listRules, listOptions, pageInfo, escapeRegExp, textFilters } = require('../utils/listQuery');
+const { reasonRules, reviewRules } = require('../utils/revisionRules');
+const { notVoided } = require('../models/plugins/revisable');
+const { auditBefore } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+const { formatRule, exportFormat, streamExport, formatMoney, formatDate } = require('../utils/exporter');
+const { documentFormatRule, sendDocument } = require('../utils/documents');
+
+const SALE_SORT_FIELDS = [
+  'createdAt', 'date', 'dispatchDate', 'dueDate', 'produceName', 'tonnage',
+  'amountPaid', 'amountDue', 'buyerName', 'branch',
+];
+
+const SALE_EXPORT_COLUMNS = [
+  { header: 'Date', value: (s) => s.date || s.dispatchDate, type: 'date' },
+  { header: 'Time', value: (s) => s.time },
+  { header: 'Sale Type', value: (s) => s.saleType },
+  { header: 'Branch', value: (s) => s.branch },
+  { header: 'Produce', value: (s) => s.produceName },
+  { header: 'Tonnage (kg)', value: (s) => s.tonnage, type: 'number' },
+  { header: 'Unit Price per kg', value: (s) => s.unitPrice, type: 'money' },
+  { header: 'Amount', value: (s) => (s.saleType === 'Cash' ? s.amountPaid : s.amountDue), type: 'money' },
+  { header: 'Outstanding Balance', value: (s) => s.outstandingBalance, type: 'money' },
+  { header: 'Paid', value: (s) => (s.saleType === 'Cash' ? true : Boolean(s.isPaid)) },
+  { header: 'Buyer', value: (s) => s.buyerName },
+  { header: 'Buyer NIN', value: (s) => s.nationalId },
+  { header: 'Buyer Contact', value: (s) => s.contacts },
+  { header: 'Due Date', value: (s) => s.dueDate, type: 'date' },
+  { header: 'Sales Agent', value: (s) => s.salesAgentName },
+  { header: 'Recorded By', value: (s) => s.recordedBy && s.recordedBy.name },
+  { header: 'Voided', value: (s) => Boolean(s.isVoided) },
+];
+
+// Sales are recorded against the recording user's branch. Cross-branch roles
+// may name either branch and otherwise fall back to their own.
+const assignSaleBranch = (req, res, next) => {
+  if (canAccessAllBranches(req.user)) {
+    req.body.branch = req.body.branch || req.user.branch;
+  } else if (req.body.branch && req.body.branch !== req.user.branch) {
+    return res.status(403).json({ error: `You can only record sales for the ${req.user.branch} branch` });
+  } else {
+    req.body.branch = req.user.branch;
+  }
+
+  next();
+};
+
+// Work out what the sale should cost from the selling price in force at the
+// branch when it was made. Returns null when the produce has no price there.
+const priceSale = async ({ produceName, branch, tonnage }, amountCharged, at) => {
+  const price = await Price.priceInForce(produceName, branch, new Date(at));
+  if (!price) {
+    return null;
+  }
+
+  const { unitPrice, source, priceEntry, effectiveFrom } = price;
+  const expectedAmount = unitPrice * tonnage;
+
+  return {
+    unitPrice,
+    source,
+    priceEntry,
+    effectiveFrom,
+    tonnage,
+    expectedAmount,
+    amountCharged,
+    difference: amountCharged - expectedAmount
+  };
+};
+
+const PAYMENT_METHODS = ['Cash', 'Mobile Money', 'Bank Transfer', 'Cheque'];
+
+const overpayment = async (res, saleId) => {
+  const sale = await CreditSale.findById(saleId).select('outstandingBalance');
+
+  return res.status(400).json({
+    error: `Payment exceeds the outstanding balance of ${sale.outstandingBalance} UgX`,
+    outstandingBalance: sale.outstandingBalance
+  });
+};
+
+const closedDay = (res, date) => {
+  return res.status(409).json({
+    error: `${dayOf(date)} has been closed for your cash; nothing more can be recorded into it`
+  });
+};
+
+// The day a sale counts towards in its agent's cash close
+const saleDay = (sale) => (sale.saleType === 'Cash' ? sale.date : sale.dispatchDate);
+
+// Why a sale can no longer be changed on these dates, or null when it can. Cash
+// is closed per agent, so it is the close of the agent who recorded the sale.
+const closedSaleDay = async (sale, dates) => {
+  for (const date of dates) {
+    if (await CashClose.isDayClosed(sale.recordedBy, date)) {
+      return `${dayOf(date)} has been closed for the cash of the agent who recorded this sale; it can no longer be changed`;
+    }
+  }
+  return null;
+};
+
+// A close written while a sale or payment was being recorded checked the day as
+// open; so is the record. Checking again once it is written closes the gap: if
+// the close landed first the record is taken back out, and otherwise the close
+// counts it (see POST /cash-closes). Resolves to true when the record was undone.
+const undoSaleInClosedDay = async (sale) => {
+  if (!await CashClose.isDayClosed(sale.recordedBy, saleDay(sale))) {
+    return false;
+  }
+
+  await sale.deleteOne();
+  await Stock.addStock(sale.produceName, sale.branch, sale.tonnage);
+  return true;
+};
+
+const undoPaymentInClosedDay = async (sale, payment) => {
+  if (!await CashClose.isDayClosed(payment.receivedBy, payment.date)) {
+    return false;
+  }
+
+  await CreditSale.reversePayment(sale._id, payment);
+  return true;
+};
+
+const noSellingPrice = (res, { produceName, branch }, at) => {
+  return res.status(409).json({
+    error: `No selling price set for ${produceName.trim()} at ${branch} on ${formatDate(at)}`
+  });
+};
+
+// Draw the sold tonnage from branch stock, then save the sale.
+// Returns null when the branch does not hold enough of the produce.
+const createSaleFromStock = async (Model, saleData) => {
+  const { produceName, branch, tonnage } = saleData;
+
+  const stock = await Stock.drawStock(produceName, branch, tonnage);
+  if (!stock) {
+    return null;
+  }
+
+  try {
+    return await Model.create(saleData);
+  } catch (error) {
+    // Put the stock back if the sale could not be saved
+    await Stock.addStock(produceName, branch, tonnage);
+    throw error;
+  }
+};
+
+// Fields a correction may change. Produce, branch and a credit sale's buyer are
+// fixed: void and re-record instead. Buyer details are edited in the buyer registry,
+// and the produce type follows the produce catalog.
+const SALE_EDITABLE_FIELDS = {
+  Cash: ['buyerName', 'salesAgentName', 'tonnage', 'amountPaid', 'date', 'time'],
+  Credit: ['amountDue', 'salesAgentName', 'dueDate', 'tonnage', 'dispatchDate'],
+};
+
+const saleChangeRules = [
+  body('buyerName').optional().isLength({ min: 2 }).withMessage('Buyer name must be at least 2 characters')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Buyer name must be alphanumeric'),
+  body('salesAgentName').optional().isLength({ min: 2 }).withMessage('Sales agent name must be at least 2 characters')
+    .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Sales agent name must be alphanumeric'),
+  body('tonnage').optional().isInt({ min: 1 }).withMessage('Tonnage must be at least 1 kg'),
+  body('amountPaid').optional().isFloat({ min: 10000 }).withMessage('Amount paid must be at least 10,000 UgX'),
+  body('amountDue').optional().isFloat({ min: 10000 }).withMessage('Amount due must be at least 10,000 UgX'),
+  body('date').optional().isISO8601().withMessage('Please enter a valid date'),
+  body('time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Please enter valid time (HH:MM)'),
+  body('dueDate').optional().isISO8601().withMessage('Please enter a valid due date'),
+  body('dispatchDate').optional().isISO8601().withMessage('Please enter a valid dispatch date'),
+];
+
+const pickSaleChanges = (saleType, source) => {
+  const changes = {};
+  SALE_EDITABLE_FIELDS[saleType].forEach((field) => {
+    if (source[field] !== undefined) {
+      changes[field] = source[field];
+    }
+  });
+  return changes;
+};
+
+// Apply a correction, keeping the price check, credit balance and branch stock
+// in line with the new values. Resolves to { changed } or { status, error }.
+const applySaleCorrection = async (sale, changes, user, reason) => {
+  const previousTonnage = sale.tonnage;
+  const previousAmountDue = sale.amountDue;
+  const previousDueDate = sale.dueDate;
+  const previousDay = saleDay(sale);
+
+  const changed = sale.applyCorrection(changes, user, reason);
+  if (!changed.length) {
+    return { status: 400, error: 'Correction does not change any values' };
+  }
+
+  const closed = await closedSaleDay(sale, [previousDay, saleDay(sale)]);
+  if (closed) {
+    return { status: 409, error: closed };
+  }
+
+  const amountField = sale.saleType === 'Cash' ? 'amountPaid' : 'amountDue';
+
+  // A sale moved to another date is priced at the price in force on that date
+  if (new Date(saleDay(sale)).getTime() !== new Date(previousDay).getTime()) {
+    const pricing = await priceSale(sale, sale[amountField], saleDay(sale));
+    if (!pricing) {
+      return { status: 409, error: `No selling price set for ${sale.produceName} at ${sale.branch} on ${formatDate(saleDay(sale))}` };
+    }
+
+    sale.unitPrice = pricing.unitPrice;
+    sale.priceEntry = pricing.priceEntry;
+  }
+
+  if (sale.unitPrice) {
+    sale.expectedAmount = sale.unitPrice * sale.tonnage;
+    if (sale[amountField] < sale.expectedAmount) {
+      return {
+        status: 400,
+        error: `${amountField === 'amountPaid' ? 'Amount paid' : 'Amount due'} is below the selling price: expected at least ${sale.expectedAmount} UgX`
+      };
+    }
+  }
+
+  if (sale.saleType === 'Credit') {
+    const paid = sale.payments.reduce((sum, payment) => sum + payment.amount, 0);
+    if (sale.amountDue < paid) {
+      return { status: 400, error: `Amount due cannot be less than the ${paid} UgX already paid` };
+    }
+
+    sale.outstandingBalance = sale.amountDue - paid;
+    sale.isPaid = sale.outstandingBalance === 0;
+    sale.paymentDate = sale.isPaid ? (sale.paymentDate || new Date()) : undefined;
+  }
+
+  await sale.validate();
+
+  const save = async () => {
+    const { produceName, branch, tonnage } = sale;
+    const moved = await Stock.applyMovements([
+      { produceName, branch, quantity: previousTonnage },
+      { produceName, branch, quantity: -tonnage },
+    ]);
+    if (!moved) {
+      return { status: 409, error: `Insufficient stock: ${branch} cannot supply ${tonnage} kg of ${produceName}` };
+    }
+
+    try {
+      await sale.save();
+    } catch (error) {
+      await Stock.applyMovements([
+        { produceName, branch, quantity: tonnage },
+        { produceName, branch, quantity: -previousTonnage },
+      ]);
+      throw error;
+    }
+
+    return { changed };
+  };
+
+  // Owing more, or for longer, is a new credit decision for the buyer
+  const extendsCredit = sale.saleType === 'Credit'
+    && (sale.amountDue > previousAmountDue || sale.dueDate > previousDueDate);
+  if (!extendsCredit) {
+    return save();
+  }
+
+  const buyer = await Buyer.findOne({ nationalId: sale.nationalId });
+  if (!buyer) {
+    return { status: 400, error: `No buyer registered with NIN ${sale.nationalId}; register them first` };
+  }
+
+  return withCreditLock(buyer, async () => {
+    const refusal = await creditRefusal(buyer, sale.amountDue - previousAmountDue);
+    return refusal ? { status: 409, error: refusal.error } : save();
+  });
+};
+
+// Why a buyer cannot take this much more credit, or null when they can
+const creditRefusal = async (buyer, amount) => {
+  const exposure = await CreditSale.buyerExposure(buyer.nationalId);
+
+  if (exposure.overdue > 0) {
+    return {
+      error: `${buyer.buyerName} has ${exposure.overdue} UgX overdue on ${exposure.overdueSales} credit sale(s) and cannot take more credit until it is paid`,
+      ...exposure
+    };
+  }
+
+  if (buyer.creditLimit !== null && buyer.creditLimit !== undefined && exposure.outstanding + amount > buyer.creditLimit) {
+    return {
+      error: `Credit limit exceeded: ${buyer.buyerName} owes ${exposure.outstanding} UgX against a limit of ${buyer.creditLimit} UgX, cannot add ${amount} UgX`,
+      creditLimit: buyer.creditLimit,
+      available: Math.max(buyer.creditLimit - exposure.outstanding, 0),
+      ...exposure
+    };
+  }
+
+  return null;
+};
+
+// Run a credit decision for a buyer while holding their credit lock. Resolves to
+// the decision's result, or { status, error } while another one is being made.
+const withCreditLock = async (buyer, decide) => {
+  const lease = await Buyer.lockCredit(buyer._id);
+  if (!lease) {
+    return { status: 409, error: `Another credit decision for ${buyer.buyerName} is in progress; retry shortly` };
+  }
+
+  try {
+    return await decide();
+  } finally {
+    await Buyer.unlockCredit(buyer._id, lease);
+  }
+};
+
+const insufficientStock = async (res, { produceName, branch, tonnage }) => {
+  const stock = await Stock.findOne({ produceName: produceName.trim(), branch });
+  const available = stock ? stock.quantity : 0;
+
+  return res.status(409).json({
+    error: `Insufficient stock: ${branch} has ${available} kg of ${produceName.trim()}, cannot sell ${tonnage} kg`,
+    available
+  });
+};
+
+// Sales recorded before pricing have no unit price
+const unitPriceText = (sale, unit = '') => (
+  sale.unitPrice === undefined || sale.unitPrice === null ? 'Not recorded' : `${formatMoney(sale.unitPrice)}${unit}`
+);
+
+// e.g. MAG-000042 for Maganjo's 42nd receipt
+const receiptLabel = (sale) => `${sale.branch.slice(0, 3).toUpperCase()}-${String(sale.receiptNumber).padStart(6, '0')}`;
+
+const receiptDocument = (sale) => ({
+  title: 'Cash Sale Receipt',
+  number: receiptLabel(sale),
+  filename: `receipt-${receiptLabel(sale)}`,
+  pageSize: 'A5',
+  stamp: sale.isVoided ? 'VOID' : undefined,
+  details: [
+    ['Branch', sale.branch],
+    ['Date', formatDate(sale.date, false)],
+    ['Time', sale.time],
+    ['Buyer', sale.buyerName],
+    ['Produce', sale.produceName],
+    ['Tonnage', `${sale.tonnage.toLocaleString('en-US')} kg`],
+    ['Unit price', unitPriceText(sale, ' per kg')],
+    ['Sales agent', sale.salesAgentName],
+  ],
+  totals: [['Amount paid', formatMoney(sale.amountPaid)]],
+  footer: 'Thank you for shopping with us.',
+});
+
+const invoiceLabel = (sale) => `INV-${sale.branch.slice(0, 3).toUpperCase()}-${String(sale._id).slice(-8).toUpperCase()}`;
+
+const invoiceDocument = (sale) => {
+  const paid = sale.payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const balance = sale.outstandingBalance !== undefined && sale.outstandingBalance !== null
+    ? sale.outstandingBalance
+    : Math.max(sale.amountDue - paid, 0);
+
+  return {
+    title: 'Credit Sale Invoice',
+    number: invoiceLabel(sale),
+    filename: `invoice-${invoiceLabel(sale)}`,
+    stamp: sale.isVoided ? 'VOID' : (sale.isPaid ? 'PAID' : undefined),
+    details: [
+      ['Branch', sale.branch],
+      ['Buyer', sale.buyerName],
+      ['National ID', sale.nationalId],
+      ['Location', sale.location],
+      ['Contact', sale.contacts],
+      ['Dispatch date', formatDate(sale.dispatchDate, false)],
+      ['Due date', formatDate(sale.dueDate, false)],
+      ['Sales agent', sale.salesAgentName],
+    ],
+    table: {
+      columns: [
+        { header: 'Produce' },
+        { header: 'Type' },
+        { header: 'Tonnage (kg)', align: 'right' },
+        { header: 'Unit price', align: 'right' },
+        { header: 'Amount', align: 'right' },
+      ],
+      rows: [[
+        sale.produceName, sale.produceType, sale.tonnage.toLocaleString('en-US'),
+        unitPriceText(sale), formatMoney(sale.amountDue),
+      ]],
+    },
+    totals: [
+      ['Amount due', formatMoney(sale.amountDue)],
+      ['Paid to date', formatMoney(paid)],
+      ['Balance outstanding', formatMoney(balance)],
+    ],
+    footer: `Please pay the balance by ${formatDate(sale.dueDate, false)}, quoting ${invoiceLabel(sale)}.`,
+  };
+};
 
 /**
  * @swagger
  * /sales/cash:
  *   post:
  *     summary: Record a cash sale (Sales Agent only)
+ *     description: >
+ *       The sale is priced at the price list entry in force at the branch on the sale date
+ *       (GET /prices), or the latest procurement's selling price for produce not on the
+ *       price list yet. The price used is recorded on the sale.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -35,6 +442,7 @@ const { protect, authorize } = require('../middleware/auth');
  *             properties:
  *               produceName:
  *                 type: string
+ *                 description: Name or alias of an active produce in the catalog
  *               tonnage:
  *                 type: number
  *                 minimum: 1
@@ -53,17 +461,29 @@ const { protect, authorize } = require('../middleware/auth');
  *               time:
  *                 type: string
  *                 pattern: '^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$'
+ *               branch:
+ *                 type: string
+ *                 enum: [Maganjo, Matugga]
+ *                 description: Defaults to the recording user's branch; only managers may choose another
  *     responses:
  *       201:
- *         description: Cash sale recorded successfully
+ *         description: Cash sale recorded successfully, with its receipt number and the computed price breakdown
  *       400:
- *         description: Validation error
+ *         description: Validation error, amount paid below the selling price, or produce not in the catalog or inactive
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Branch differs from the recording user's branch
+ *       409:
+ *         description: Insufficient stock or no selling price set at the branch
+ *       422:
+ *         description: Idempotency-Key already used for a different request
  */
 router.post('/cash',
   protect,
   authorize('Sales Agent', 'Manager'),
+  idempotent,
+  assignSaleBranch,
   [
     body('produceName').notEmpty().withMessage('Produce name is required'),
     body('tonnage').isInt({ min: 1 }).withMessage('Tonnage must be at least 1 kg'),
@@ -73,6 +493,7 @@ router.post('/cash',
     body('salesAgentName').isLength({ min: 2 }).withMessage('Sales agent name must be at least 2 characters')
       .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Sales agent name must be alphanumeric'),
     body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Please enter valid time (HH:MM)'),
+    body('branch').isIn(['Maganjo', 'Matugga']).withMessage('A branch of Maganjo or Matugga is required'),
   ],
   async (req, res) => {
     try {
@@ -81,17 +502,54 @@ router.post('/cash',
         return res.status(400).json({ errors: errors.array() });
       }
 
+      const { produce, error } = await Produce.resolveActive(req.body.produceName);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
       const saleData = {
         ...req.body,
+        ...produceFields(produce),
+        tonnage: Number(req.body.tonnage),
         recordedBy: req.user._id,
         date: req.body.date || new Date()
       };
 
-      const sale = await CashSale.create(saleData);
+      if (await CashClose.isDayClosed(req.user._id, saleData.date)) {
+        return closedDay(res, saleData.date);
+      }
+
+      const pricing = await priceSale(saleData, Number(req.body.amountPaid), saleData.date);
+      if (!pricing) {
+        return noSellingPrice(res, saleData, saleData.date);
+      }
+
+      if (pricing.difference < 0) {
+        return res.status(400).json({
+          error: `Amount paid is below the selling price: expected at least ${pricing.expectedAmount} UgX`,
+          pricing
+        });
+      }
+
+      saleData.unitPrice = pricing.unitPrice;
+      saleData.expectedAmount = pricing.expectedAmount;
+      saleData.priceEntry = pricing.priceEntry;
+
+      const created = await createSaleFromStock(CashSale, saleData);
+      if (!created) {
+        return insufficientStock(res, saleData);
+      }
+
+      if (await undoSaleInClosedDay(created)) {
+        return closedDay(res, saleData.date);
+      }
+
+      const sale = await CashSale.assignReceiptNumber(created);
 
       res.status(201).json({
         success: true,
-        data: sale
+        data: sale,
+        pricing
       });
     } catch (error) {
       console.error(error);
@@ -104,9 +562,16 @@ router.post('/cash',
  * /sales/credit:
  *   post:
  *     summary: Record a credit sale (Sales Agent only)
+ *     description: >
+ *       The buyer must be registered (POST /buyers); their name, location and contacts are
+ *       taken from the registry. The sale is refused if the buyer has overdue debt or if it
+ *       would take what they owe above their credit limit. It is priced like a cash sale,
+ *       at the price in force on the dispatch date.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -114,27 +579,16 @@ router.post('/cash',
  *           schema:
  *             type: object
  *             required:
- *               - buyerName
  *               - nationalId
- *               - location
- *               - contacts
  *               - amountDue
  *               - salesAgentName
  *               - dueDate
  *               - produceName
- *               - produceType
  *               - tonnage
  *             properties:
- *               buyerName:
- *                 type: string
- *                 minLength: 2
  *               nationalId:
  *                 type: string
- *               location:
- *                 type: string
- *                 minLength: 2
- *               contacts:
- *                 type: string
+ *                 description: NIN of a registered buyer
  *               amountDue:
  *                 type: number
  *                 minimum: 10000
@@ -146,39 +600,45 @@ router.post('/cash',
  *                 format: date
  *               produceName:
  *                 type: string
- *               produceType:
- *                 type: string
+ *                 description: Name or alias of an active produce in the catalog; the type is taken from the catalog
  *               tonnage:
  *                 type: number
  *                 minimum: 1
  *               dispatchDate:
  *                 type: string
  *                 format: date
+ *               branch:
+ *                 type: string
+ *                 enum: [Maganjo, Matugga]
+ *                 description: Defaults to the recording user's branch; only managers may choose another
  *     responses:
  *       201:
- *         description: Credit sale recorded successfully
+ *         description: Credit sale recorded successfully, with the computed price breakdown
  *       400:
- *         description: Validation error
+ *         description: Validation error, amount due below the selling price, buyer not registered or inactive, or produce not in the catalog or inactive
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Branch differs from the recording user's branch
+ *       409:
+ *         description: Insufficient stock, no selling price set at the branch, buyer has overdue debt, or credit limit exceeded
+ *       422:
+ *         description: Idempotency-Key already used for a different request
  */
 router.post('/credit',
   protect,
   authorize('Sales Agent', 'Manager'),
+  idempotent,
+  assignSaleBranch,
   [
-    body('buyerName').isLength({ min: 2 }).withMessage('Buyer name must be at least 2 characters')
-      .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Buyer name must be alphanumeric'),
-    body('nationalId').matches(/^[A-Z0-9]{10,15}$/).withMessage('Please enter a valid NIN'),
-    body('location').isLength({ min: 2 }).withMessage('Location must be at least 2 characters')
-      .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Location must be alphanumeric'),
-    body('contacts').matches(/^[0-9]{10,12}$/).withMessage('Please enter a valid phone number'),
+    body('nationalId').toUpperCase().matches(/^[A-Z0-9]{10,15}$/).withMessage('Please enter a valid NIN'),
     body('amountDue').isFloat({ min: 10000 }).withMessage('Amount due must be at least 10,000 UgX'),
     body('salesAgentName').isLength({ min: 2 }).withMessage('Sales agent name must be at least 2 characters')
       .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Sales agent name must be alphanumeric'),
     body('dueDate').isISO8601().withMessage('Please enter a valid due date'),
     body('produceName').notEmpty().withMessage('Produce name is required'),
-    body('produceType').notEmpty().withMessage('Produce type is required'),
     body('tonnage').isInt({ min: 1 }).withMessage('Tonnage must be at least 1 kg'),
+    body('branch').isIn(['Maganjo', 'Matugga']).withMessage('A branch of Maganjo or Matugga is required'),
   ],
   async (req, res) => {
     try {
@@ -187,17 +647,75 @@ router.post('/credit',
         return res.status(400).json({ errors: errors.array() });
       }
 
+      const buyer = await Buyer.findOne({ nationalId: req.body.nationalId });
+      if (!buyer || !buyer.isActive) {
+        return res.status(400).json({
+          error: buyer
+            ? `Buyer ${buyer.buyerName} is inactive and cannot take new credit`
+            : `No buyer registered with NIN ${req.body.nationalId}; register them first`
+        });
+      }
+
+      const { produce, error } = await Produce.resolveActive(req.body.produceName);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
       const saleData = {
         ...req.body,
+        ...produceFields(produce),
+        buyer: buyer._id,
+        buyerName: buyer.buyerName,
+        nationalId: buyer.nationalId,
+        location: buyer.location,
+        contacts: buyer.contacts,
+        tonnage: Number(req.body.tonnage),
         recordedBy: req.user._id,
         dispatchDate: req.body.dispatchDate || new Date()
       };
 
-      const sale = await CreditSale.create(saleData);
+      if (await CashClose.isDayClosed(req.user._id, saleData.dispatchDate)) {
+        return closedDay(res, saleData.dispatchDate);
+      }
+
+      const pricing = await priceSale(saleData, Number(req.body.amountDue), saleData.dispatchDate);
+      if (!pricing) {
+        return noSellingPrice(res, saleData, saleData.dispatchDate);
+      }
+
+      if (pricing.difference < 0) {
+        return res.status(400).json({
+          error: `Amount due is below the selling price: expected at least ${pricing.expectedAmount} UgX`,
+          pricing
+        });
+      }
+
+      saleData.unitPrice = pricing.unitPrice;
+      saleData.expectedAmount = pricing.expectedAmount;
+      saleData.priceEntry = pricing.priceEntry;
+
+      const outcome = await withCreditLock(buyer, async () => {
+        const refusal = await creditRefusal(buyer, Number(req.body.amountDue));
+        return refusal ? { status: 409, ...refusal } : { sale: await createSaleFromStock(CreditSale, saleData) };
+      });
+      if (outcome.status) {
+        const { status, ...refusal } = outcome;
+        return res.status(status).json(refusal);
+      }
+
+      const { sale } = outcome;
+      if (!sale) {
+        return insufficientStock(res, saleData);
+      }
+
+      if (await undoSaleInClosedDay(sale)) {
+        return closedDay(res, saleData.dispatchDate);
+      }
 
       res.status(201).json({
         success: true,
-        data: sale
+        data: sale,
+        pricing
       });
     } catch (error) {
       console.error(error);
@@ -209,7 +727,7 @@ router.post('/credit',
  * @swagger
  * /sales:
  *   get:
- *     summary: Get all sales
+ *     summary: Get sales for the caller's branch (all branches for managers)
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
@@ -220,75 +738,983 @@ router.post('/credit',
  *           type: string
  *           enum: [Cash, Credit]
  *         description: Filter by sale type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -createdAt
+ *         description: Comma-separated fields, prefix with - for descending (createdAt, date, dispatchDate, dueDate, produceName, tonnage, amountPaid, amountDue, buyerName, branch)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sale date (dispatch date for credit sales) from, inclusive
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sale date (dispatch date for credit sales) to, inclusive
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *       - in: query
+ *         name: buyer
+ *         schema:
+ *           type: string
+ *         description: Buyer name (case-insensitive, partial) or exact national ID
+ *       - in: query
+ *         name: recordedBy
+ *         schema:
+ *           type: string
+ *         description: ID of the user who recorded the sale
+ *       - in: query
+ *         name: isPaid
+ *         schema:
+ *           type: boolean
+ *         description: Credit sales only - filter by paid status
+ *       - in: query
+ *         name: includeVoided
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include voided sales
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *         description: csv or xlsx downloads every matching sale (page and limit are ignored)
  *     responses:
  *       200:
- *         description: List of sales
+ *         description: A page of sales with total count and next/prev links, or a CSV/XLSX file
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Not authorized
  */
-router.get('/', protect, async (req, res) => {
-  try {
-    let query = {};
-    
-    if (req.query.type) {
-      query.saleType = req.query.type;
-    }
+router.get('/',
+  protect,
+  [
+    ...listRules(SALE_SORT_FIELDS),
+    ...textFilters('produceName', 'branch', 'recordedBy', 'buyer'),
+    query('type').optional().isIn(['Cash', 'Credit']).withMessage('Type must be Cash or Credit'),
+    query('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+    query('recordedBy').optional().isMongoId().withMessage('recordedBy must be a valid user ID'),
+    query('isPaid').optional().isBoolean().withMessage('isPaid must be true or false'),
+    query('includeVoided').optional().isBoolean().withMessage('includeVoided must be true or false'),
+    formatRule,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const sales = await Sale.find(query)
-      .populate('recordedBy', 'name email')
-      .sort({ createdAt: -1 });
+      const from = req.query.from && new Date(req.query.from);
+      const to = req.query.to && endOfRange(req.query.to);
+      const conditions = [];
 
-    res.status(200).json({
-      success: true,
-      count: sales.length,
-      data: sales
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Server error' });
-  }
+      if (req.query.type) {
+        conditions.push({ saleType: req.query.type });
+      }
+
+      if (from || to) {
+        conditions.push({ $or: [dateRange('date', from, to), dateRange('dispatchDate', from, to)] });
+      }
+
+      ['produceName', 'branch', 'recordedBy'].forEach((field) => {
+        if (req.query[field]) {
+          conditions.push({ [field]: req.query[field].trim() });
+        }
+      });
+
+      if (req.query.buyer) {
+        const buyer = req.query.buyer.trim();
+        conditions.push({
+          $or: [
+            { buyerName: new RegExp(escapeRegExp(buyer), 'i') },
+            { nationalId: buyer.toUpperCase() },
+          ]
+        });
+      }
+
+      if (req.query.isPaid !== undefined) {
+        conditions.push({ isPaid: req.query.isPaid === 'true' });
+      }
+
+      if (req.query.includeVoided !== 'true') {
+        conditions.push(notVoided);
+      }
+
+      conditions.push(branchFilter(req.user));
+
+      const filter = { $and: conditions };
+      const options = listOptions(req, { createdAt: -1 });
+
+      const format = exportFormat(req);
+      if (format) {
+        return await streamExport(res, {
+          format,
+          filename: 'sales',
+          sheetName: 'Sales',
+          columns: SALE_EXPORT_COLUMNS,
+          rows: Sale.find(filter).populate('recordedBy', 'name').sort(options.sort).cursor(),
+        });
+      }
+
+      const [sales, total] = await Promise.all([
+        Sale.find(filter)
+          .populate('recordedBy', 'name email')
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        Sale.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: sales.length,
+        ...pageInfo(req, total, options),
+        data: sales
+      });
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
 });
 
 /**
  * @swagger
- * /sales/credit/{id}/payment:
- *   patch:
- *     summary: Mark credit sale as paid
+ * /sales/credit/{id}/payments:
+ *   post:
+ *     summary: Record a payment against a credit sale
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 1
+ *               method:
+ *                 type: string
+ *                 enum: [Cash, Mobile Money, Bank Transfer, Cheque]
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               reference:
+ *                 type: string
  *     responses:
- *       200:
- *         description: Payment recorded successfully
+ *       201:
+ *         description: Payment recorded, with the remaining outstanding balance
+ *       400:
+ *         description: Validation error or payment exceeds the outstanding balance
+ *       401:
+ *         description: Not authorized
  *       404:
  *         description: Sale not found
+ *       409:
+ *         description: Sale has been voided
+ *       422:
+ *         description: Idempotency-Key already used for a different request
  */
-router.patch('/credit/:id/payment', protect, async (req, res) => {
-  try {
-    const sale = await CreditSale.findById(req.params.id);
-    
-    if (!sale) {
-      return res.status(404).json({ error: 'Credit sale not found' });
-    }
+router.post('/credit/:id/payments',
+  protect,
+  authorize('Sales Agent', 'Manager'),
+  idempotent,
+  [
+    body('amount').isFloat({ min: 1 }).withMessage('Payment amount must be at least 1 UgX'),
+    body('method').isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+    body('date').optional().isISO8601().withMessage('Please enter a valid payment date'),
+    body('reference').optional().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    sale.isPaid = true;
-    sale.paymentDate = new Date();
-    await sale.save();
+      const sale = await CreditSale.findOne({ _id: req.params.id, ...branchFilter(req.user) });
 
-    res.status(200).json({
-      success: true,
-      data: sale
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Server error' });
-  }
+      if (!sale) {
+        return res.status(404).json({ error: 'Credit sale not found' });
+      }
+
+      auditBefore(res, sale);
+
+      if (sale.isVoided) {
+        return res.status(409).json({ error: 'Credit sale has been voided' });
+      }
+
+      const payment = {
+        amount: Number(req.body.amount),
+        method: req.body.method,
+        reference: req.body.reference,
+        receivedBy: req.user._id,
+        date: req.body.date || new Date()
+      };
+
+      if (await CashClose.isDayClosed(req.user._id, payment.date)) {
+        return closedDay(res, payment.date);
+      }
+
+      const updated = await CreditSale.recordPayment(sale, payment);
+      if (!updated) {
+        return overpayment(res, sale._id);
+      }
+
+      const recorded = updated.payments[updated.payments.length - 1];
+      if (await undoPaymentInClosedDay(updated, recorded)) {
+        return closedDay(res, payment.date);
+      }
+
+      res.locals.auditAfter = updated;
+
+      res.status(201).json({
+        success: true,
+        data: recorded,
+        outstandingBalance: updated.outstandingBalance,
+        isPaid: updated.isPaid
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /sales/credit/{id}/payments:
+ *   get:
+ *     summary: Get the payment history of a credit sale
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payments with the amount due and outstanding balance
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Sale not found
+ */
+router.get('/credit/:id/payments', protect, async (req, res) => {
+  try {
+    const sale = await CreditSale.findOne({ _id: req.params.id, ...branchFilter(req.user) })
+      .populate('payments.receivedBy', 'name email');
+
+    if (!sale) {
+      return res.status(404).json({ error: 'Credit sale not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: sale.payments.length,
+      amountDue: sale.amountDue,
+      outstandingBalance: sale.outstandingBalance,
+      isPaid: sale.isPaid,
+      data: sale.payments
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /sales/credit/{id}/payment:
+ *   patch:
+ *     summary: Settle the remaining balance of a credit sale in one payment
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [Cash, Mobile Money, Bank Transfer, Cheque]
+ *                 default: Cash
+ *               reference:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment recorded successfully
+ *       400:
+ *         description: Sale is already paid
+ *       403:
+ *         description: Forbidden - role not allowed to record payments
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: Sale has been voided
+ */
+router.patch('/credit/:id/payment',
+  protect,
+  authorize('Sales Agent', 'Manager'),
+  [
+    body('method').optional().isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+    body('reference').optional().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sale = await CreditSale.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!sale) {
+        return res.status(404).json({ error: 'Credit sale not found' });
+      }
+
+      auditBefore(res, sale);
+
+      if (sale.isVoided) {
+        return res.status(409).json({ error: 'Credit sale has been voided' });
+      }
+
+      if (sale.isPaid) {
+        return res.status(400).json({ error: 'Credit sale is already paid' });
+      }
+
+      if (await CashClose.isDayClosed(req.user._id, new Date())) {
+        return closedDay(res, new Date());
+      }
+
+      const balance = sale.outstandingBalance !== undefined && sale.outstandingBalance !== null
+        ? sale.outstandingBalance
+        : sale.amountDue;
+
+      const updated = await CreditSale.recordPayment(sale, {
+        amount: balance,
+        method: req.body.method || 'Cash',
+        reference: req.body.reference,
+        receivedBy: req.user._id,
+        date: new Date()
+      });
+      if (!updated) {
+        return overpayment(res, sale._id);
+      }
+
+      const recorded = updated.payments[updated.payments.length - 1];
+      if (await undoPaymentInClosedDay(updated, recorded)) {
+        return closedDay(res, recorded.date);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SaleChanges:
+ *       type: object
+ *       description: Cash sales accept buyerName, salesAgentName, tonnage, amountPaid, date and time. Credit sales accept amountDue, salesAgentName, dueDate, tonnage and dispatchDate.
+ *       properties:
+ *         buyerName:
+ *           type: string
+ *         salesAgentName:
+ *           type: string
+ *         tonnage:
+ *           type: number
+ *           minimum: 1
+ *         amountPaid:
+ *           type: number
+ *           minimum: 10000
+ *         date:
+ *           type: string
+ *           format: date
+ *         time:
+ *           type: string
+ *         amountDue:
+ *           type: number
+ *           minimum: 10000
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         dispatchDate:
+ *           type: string
+ *           format: date
+ */
+
+/**
+ * @swagger
+ * /sales/{id}:
+ *   get:
+ *     summary: Get a single sale, including voided sales
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sale with its revision history
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Sale not found in the caller's branch
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const sale = await Sale.findOne({ _id: req.params.id, ...branchFilter(req.user) })
+      .populate('recordedBy', 'name email');
+
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: sale
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /sales/{id}/receipt:
+ *   get:
+ *     summary: Printable receipt for a cash sale
+ *     description: Receipt numbers run from 1 per branch without gaps. Voided sales keep their number and are stamped VOID.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: Receipt as an HTML page or PDF
+ *         content:
+ *           text/html: {}
+ *           application/pdf: {}
+ *       400:
+ *         description: Invalid format
+ *       404:
+ *         description: Cash sale not found in the caller's branch
+ */
+router.get('/:id/receipt',
+  protect,
+  documentFormatRule(['html', 'pdf']),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const found = await CashSale.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!found) {
+        return res.status(404).json({ error: 'Cash sale not found' });
+      }
+
+      // Sales recorded before receipts existed are numbered the first time one is printed
+      const sale = await CashSale.assignReceiptNumber(found);
+
+      await sendDocument(res, req.query.format || 'html', receiptDocument(sale));
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /sales/{id}/invoice:
+ *   get:
+ *     summary: Printable invoice for a credit sale
+ *     description: Shows the dispatch and due dates, the amount due, what has been paid so far and the balance.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: Invoice as an HTML page or PDF
+ *         content:
+ *           text/html: {}
+ *           application/pdf: {}
+ *       400:
+ *         description: Invalid format
+ *       404:
+ *         description: Credit sale not found in the caller's branch
+ */
+router.get('/:id/invoice',
+  protect,
+  documentFormatRule(['html', 'pdf']),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sale = await CreditSale.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!sale) {
+        return res.status(404).json({ error: 'Credit sale not found' });
+      }
+
+      await sendDocument(res, req.query.format || 'html', invoiceDocument(sale));
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /sales/{id}:
+ *   patch:
+ *     summary: Correct a sale (Manager only)
+ *     description: The replaced values are kept in the sale's revision history. A corrected tonnage is re-drawn from branch stock and must still meet the selling price the sale was made at.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SaleChanges'
+ *               - $ref: '#/components/schemas/Reason'
+ *     responses:
+ *       200:
+ *         description: Sale corrected
+ *       400:
+ *         description: Validation error, nothing to change, or amount below the selling price
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Sale not found in the caller's branch
+ *       409:
+ *         description: Sale is voided or was changed by another request meanwhile, its old or new day has been closed, there is not enough stock for the corrected tonnage, or the buyer cannot take the added credit
+ */
+router.patch('/:id',
+  protect,
+  authorize('Manager'),
+  [...reasonRules, ...saleChangeRules],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sale = await Sale.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!sale) {
+        return res.status(404).json({ error: 'Sale not found' });
+      }
+
+      auditBefore(res, sale);
+
+      if (sale.isVoided) {
+        return res.status(409).json({ error: 'Sale has been voided' });
+      }
+
+      const result = await applySaleCorrection(sale, pickSaleChanges(sale.saleType, req.body), req.user, req.body);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.status(200).json({
+        success: true,
+        changed: result.changed,
+        data: sale
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ error: 'Sale was changed by another request meanwhile; reload it and try again' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /sales/{id}:
+ *   delete:
+ *     summary: Void a sale (Manager only)
+ *     description: The sale is kept and can still be retrieved, but its tonnage returns to branch stock and it no longer counts towards totals.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Reason'
+ *     responses:
+ *       200:
+ *         description: Sale voided
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Sale not found in the caller's branch
+ *       409:
+ *         description: Already voided or changed by another request meanwhile, a credit sale with payments recorded against it, or its day has been closed
+ */
+router.delete('/:id',
+  protect,
+  authorize('Manager'),
+  reasonRules,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sale = await Sale.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!sale) {
+        return res.status(404).json({ error: 'Sale not found' });
+      }
+
+      auditBefore(res, sale);
+
+      if (sale.isVoided) {
+        return res.status(409).json({ error: 'Sale is already voided' });
+      }
+
+      if (sale.payments && sale.payments.length) {
+        return res.status(409).json({ error: 'Cannot void a credit sale that has payments recorded against it' });
+      }
+
+      const closed = await closedSaleDay(sale, [saleDay(sale)]);
+      if (closed) {
+        return res.status(409).json({ error: closed });
+      }
+
+      sale.voidRecord(req.user, req.body);
+      await sale.save();
+
+      // The sold produce goes back into branch stock
+      await Stock.addStock(sale.produceName, sale.branch, sale.tonnage);
+
+      res.status(200).json({
+        success: true,
+        data: sale
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ error: 'Sale was changed by another request meanwhile; reload it and try again' });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /sales/{id}/corrections:
+ *   post:
+ *     summary: Request a correction for a manager to approve
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SaleChanges'
+ *               - $ref: '#/components/schemas/Reason'
+ *     responses:
+ *       201:
+ *         description: Correction request recorded as Pending
+ *       400:
+ *         description: Validation error or nothing to change
+ *       404:
+ *         description: Sale not found in the caller's branch
+ *       409:
+ *         description: Sale is voided or was changed by another request meanwhile
+ */
+router.post('/:id/corrections',
+  protect,
+  [...reasonRules, ...saleChangeRules],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sale = await Sale.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+
+      if (!sale) {
+        return res.status(404).json({ error: 'Sale not found' });
+      }
+
+      auditBefore(res, sale);
+
+      if (sale.isVoided) {
+        return res.status(409).json({ error: 'Sale has been voided' });
+      }
+
+      const changes = pickSaleChanges(sale.saleType, req.body);
+      if (!Object.keys(changes).length) {
+        return res.status(400).json({
+          error: `No correctable fields given. Allowed: ${SALE_EDITABLE_FIELDS[sale.saleType].join(', ')}`
+        });
+      }
+
+      sale.correctionRequests.push({
+        changes,
+        reasonCode: req.body.reasonCode,
+        reason: req.body.reason,
+        requestedBy: req.user._id
+      });
+      await sale.save();
+
+      res.status(201).json({
+        success: true,
+        data: sale.correctionRequests[sale.correctionRequests.length - 1]
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ error: 'Sale was changed by another request meanwhile; reload it and try again' });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /sales/{id}/corrections/{requestId}:
+ *   patch:
+ *     summary: Approve or reject a correction request (Manager only)
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Approved, Rejected]
+ *               reviewNote:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request reviewed; approved changes are applied to the sale
+ *       400:
+ *         description: Validation error, request already reviewed, or amount below the selling price
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: Sale or request not found
+ *       409:
+ *         description: Sale is voided or was changed by another request meanwhile, its old or new day has been closed, there is not enough stock for the corrected tonnage, or the buyer cannot take the added credit
+ */
+router.patch('/:id/corrections/:requestId',
+  protect,
+  authorize('Manager'),
+  reviewRules,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sale = await Sale.findOne({ _id: req.params.id, ...branchFilter(req.user) });
+      const request = sale && sale.correctionRequests.id(req.params.requestId);
+
+      if (!request) {
+        return res.status(404).json({ error: 'Correction request not found' });
+      }
+
+      auditBefore(res, sale);
+
+      if (request.status !== 'Pending') {
+        return res.status(400).json({ error: `Correction request is already ${request.status.toLowerCase()}` });
+      }
+
+      if (sale.isVoided) {
+        return res.status(409).json({ error: 'Sale has been voided' });
+      }
+
+      request.status = req.body.status;
+      request.reviewedBy = req.user._id;
+      request.reviewedAt = new Date();
+      request.reviewNote = req.body.reviewNote;
+
+      let changed = [];
+      if (request.status === 'Approved') {
+        const result = await applySaleCorrection(sale, request.changes, req.user, request);
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        changed = result.changed;
+      } else {
+        await sale.save();
+      }
+
+      res.status(200).json({
+        success: true,
+        changed,
+        data: sale
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ error: 'Sale was changed by another request meanwhile; reload it and try again' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Stock
+ *   description: Produce stock held at each branch
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const Stock = require('../models/Stock');
+const { protect, branchFilter } = require('../middleware/auth');
+const { textFilters } = require('../utils/listQuery');
+
+/**
+ * @swagger
+ * /stock:
+ *   get:
+ *     summary: Get current stock levels per produce and branch (own branch only for sales agents)
+ *     tags: [Stock]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *         description: Filter by branch
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *         description: Filter by produce name
+ *     responses:
+ *       200:
+ *         description: List of stock levels in kg
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/', protect, textFilters('branch', 'produceName'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let query = {};
+
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    if (req.query.produceName) {
+      query.produceName = req.query.produceName.trim();
+    }
+
+    query = { ...query, ...branchFilter(req.user) };
+
+    const stock = await Stock.find(query).sort({ branch: 1, produceName: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: stock.length,
+      data: stock
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -7,10 +7,30 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const { body, query, validationResult } = require('express-validator');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+const { protect, authorize, roleRank } = require('../middleware/auth');
+const { dateRange, listRules, listOptions, pageInfo } = require('../utils/listQuery');
+const { startSession, rotateSession, parseRefreshToken } = require('../utils/tokens');
+const { notify } = require('../notifiers');
+const { auditBefore } = require('../middleware/audit');
+
+const USER_SORT_FIELDS = ['name', 'email', 'role', 'branch', 'createdAt'];
+
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// True when the user is the only active Manager left, so losing them would
+// leave nobody able to manage staff
+const isLastActiveManager = async (user) => {
+  if (user.role !== 'Manager' || !user.isActive) return false;
+
+  const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'Manager', isActive: true });
+  return others === 0;
+};
 
 /**
  * @swagger
@@ -46,12 +66,21 @@ const { protect, authorize } = require('../middleware/auth');
  *                   type: boolean
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /users/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                 refreshExpiresAt:
+ *                   type: string
+ *                   format: date-time
  *                 user:
  *                   type: object
  *       401:
- *         description: Invalid credentials
- *       404:
- *         description: User not found
+ *         description: Invalid email or password, or account deactivated
+ *       429:
+ *         description: Too many failed attempts for this account or IP address; see Retry-After
  */
 router.post('/login', [
   body('email').isEmail().withMessage('Please enter a valid email'),
@@ -65,27 +94,38 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const subjects = [['account', email], ['ip', req.ip]];
 
-    // Check if user exists
-    const user = await User.findOne({ email }).select('+password');
-    
-    if (!user) {
-      return res.status(404).json({ 
+    // Too many recent failures for this email or this IP address
+    const retryAfter = await LoginThrottle.retryAfter(subjects);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
         success: false,
-        error: 'User not found' 
+        error: 'Too many failed login attempts, please try again later',
+        retryAfter
       });
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    
-    if (!isMatch) {
-      return res.status(401).json({ 
+    // Check if user exists
+    const user = await User.findOne({ email }).select('+password');
+
+    // Compare against a dummy hash for unknown emails so both cases take as long
+    const isMatch = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+    // Unknown email and wrong password get the same answer
+    if (!user || !isMatch) {
+      await LoginThrottle.recordFailure(subjects, user);
+      return res.status(401).json({
         success: false,
-        error: 'Invalid credentials' 
+        error: 'Invalid email or password'
       });
     }
 
+    await LoginThrottle.clear('account', email);
+
     // Check if user is active
     if (!user.isActive) {
       return res.status(401).json({ 
@@ -94,24 +134,22 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    // Open a session and issue its access and refresh tokens
+    const tokens = await startSession(user, req);
 
     // Remove password from response
     user.password = undefined;
+    res.locals.auditActor = user._id;
 
     res.status(200).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        branch: user.branch,
         phone: user.phone
       }
     });
@@ -123,12 +161,11 @@ router.post('/login', [
 
 /**
  * @swagger
- * /users:
+ * /users/refresh:
  *   post:
- *     summary: Create a new user (Manager only)
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: The refresh token is single use. Presenting one that has already been exchanged ends the whole session.
  *     tags: [Users]
- *     security:
- *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -136,46 +173,222 @@ router.post('/login', [
  *           schema:
  *             type: object
  *             required:
- *               - name
- *               - email
- *               - password
- *               - phone
- *               - role
+ *               - refreshToken
  *             properties:
- *               name:
- *                 type: string
- *                 minLength: 2
- *               email:
+ *               refreshToken:
  *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 minLength: 6
- *               phone:
- *                 type: string
- *               role:
- *                 type: string
- *                 enum: [Manager, Sales Agent]
  *     responses:
- *       201:
- *         description: User created successfully
+ *       200:
+ *         description: New token and refreshToken
  *       400:
  *         description: Validation error
  *       401:
+ *         description: Refresh token invalid, expired or revoked, or account deactivated
+ */
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    const session = parsed && await Session.findById(parsed.sessionId);
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+
+    // A valid session but an old token means the token was copied and reused
+    if (!session.matchesToken(parsed.secret)) {
+      await session.revoke('Refresh token reuse detected');
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(session.user);
+    res.locals.auditActor = session.user;
+
+    if (!user || !user.isActive) {
+      await session.revoke('Account deactivated');
+      return res.status(401).json({ success: false, error: 'Account is deactivated' });
+    }
+
+    const tokens = await rotateSession(user, session);
+    if (!tokens) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked; its access and refresh tokens stop working
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await req.authSession.revoke('Logged out');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/logout-all:
+ *   post:
+ *     summary: Log out every session of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'Logged out of all sessions');
+
+    res.status(200).json({
+      success: true,
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/logout-all:
+ *   post:
+ *     summary: Log a user out of every session (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: All of the user's sessions revoked
+ *       401:
  *         description: Not authorized
  *       403:
  *         description: Forbidden - Managers only
+ *       404:
+ *         description: User not found
  */
-router.post('/', 
+router.post('/:id/logout-all', protect, authorize('Manager'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, `Logged out by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/lockouts:
+ *   get:
+ *     summary: List login lockouts of accounts and IP addresses (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only lockouts that are still in force
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [account, ip]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: A page of lockout events, newest first
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only
+ */
+router.get('/lockouts',
   protect,
   authorize('Manager'),
   [
-    body('name').isLength({ min: 2 }).withMessage('Name must be at least 2 characters')
-      .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Name must be alphanumeric'),
-    body('email').isEmail().withMessage('Please enter a valid email'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('phone').matches(/^[0-9]{10,12}$/).withMessage('Please enter a valid phone number'),
-    body('role').isIn(['Manager', 'Sales Agent']).withMessage('Invalid role'),
+    ...listRules(['lockedAt', 'lockedUntil']),
+    query('active').optional().isBoolean().withMessage('Active must be true or false'),
+    query('type').optional().isIn(['account', 'ip']).withMessage('Type must be account or ip'),
   ],
   async (req, res) => {
     try {
@@ -184,28 +397,33 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, email, password, phone, role } = req.body;
+      let filter = dateRange('lockedAt', req.query.from, req.query.to);
 
-      // Check if user already exists
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({ error: 'User already exists with this email' });
+      if (req.query.type) {
+        filter.type = req.query.type;
       }
 
-      // Create user
-      const user = await User.create({
-        name,
-        email,
-        password,
-        phone,
-        role
-      });
+      if (req.query.active === 'true') {
+        filter = { ...filter, lockedUntil: { $gt: new Date() }, unlockedAt: null };
+      }
 
-      user.password = undefined;
+      const options = listOptions(req, { lockedAt: -1 });
 
-      res.status(201).json({
+      const [lockouts, total] = await Promise.all([
+        LockoutEvent.find(filter)
+          .populate('user', 'name email role branch')
+          .populate('unlockedBy', 'name email')
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        LockoutEvent.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
         success: true,
-        data: user
+        count: lockouts.length,
+        ...pageInfo(req, total, options),
+        data: lockouts
       });
     } catch (error) {
       console.error(error);
@@ -215,25 +433,47 @@ router.post('/',
 
 /**
  * @swagger
- * /users:
- *   get:
- *     summary: Get all users (Manager only)
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Clear failed login attempts and any lockout on an account (Manager only)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of users
+ *         description: Account unlocked
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: User not found
  */
-router.get('/', protect, authorize('Manager'), async (req, res) => {
+router.post('/:id/unlock', protect, authorize('Manager'), async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await LoginThrottle.clear('account', user.email);
+
+    const result = await LockoutEvent.updateMany(
+      { type: 'account', subject: user.email, lockedUntil: { $gt: new Date() }, unlockedAt: null },
+      { $set: { unlockedAt: new Date(), unlockedBy: req.user._id } }
+    );
+
     res.status(200).json({
       success: true,
-      count: users.length,
-      data: users
+      message: `${user.email} can log in again`,
+      lockoutsCleared: result.modifiedCount
     });
   } catch (error) {
     console.error(error);
@@ -243,23 +483,771 @@ router.get('/', protect, authorize('Manager'), async (req, res) => {
 
 /**
  * @swagger
- * /users/profile:
- *   get:
- *     summary: Get current user profile
+ * /users/me/password:
+ *   post:
+ *     summary: Change your own password
+ *     description: Ends every existing session and returns fresh tokens for this one.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
  *     responses:
  *       200:
- *         description: User profile
+ *         description: Password changed; new token and refreshToken returned
+ *       400:
+ *         description: Validation error
  *       401:
- *         description: Not authorized
+ *         description: Current password is incorrect
  */
-router.get('/profile', protect, async (req, res) => {
-  res.status(200).json({
-    success: true,
-    data: req.user
-  });
+router.post('/me/password',
+  protect,
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id).select('+password');
+
+      const isMatch = await user.comparePassword(req.body.currentPassword);
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          error: 'Current password is incorrect'
+        });
+      }
+
+      user.password = req.body.newPassword;
+      await user.save();
+
+      await Session.revokeAllForUser(user._id, 'Password changed');
+      const tokens = await startSession(user, req);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed',
+        ...tokens
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /users/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: The token is single use and ends every existing session of the user.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset; log in with the new password
+ *       400:
+ *         description: Validation error, or token invalid, expired or already used
+ */
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.consumePasswordResetToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is invalid or has expired'
+      });
+    }
+
+    res.locals.auditActor = user._id;
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'Password reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/password-reset:
+ *   post:
+ *     summary: Send a user a single-use password reset token (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reset token sent to the user through the configured notifier
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only, or user outranks the caller
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/password-reset', protect, authorize('Manager'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (roleRank(user.role) > roleRank(req.user.role)) {
+      return res.status(403).json({ error: `User role ${req.user.role} cannot reset a ${user.role}'s password` });
+    }
+
+    const expiresInMinutes = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+    const token = user.createPasswordResetToken(expiresInMinutes);
+    await user.save();
+
+    await notify({
+      to: user.email,
+      subject: 'Karibu Groceries password reset',
+      text: `Hello ${user.name},\n\n${req.user.name} has started a password reset for your account.\n`
+        + `Send this token with your new password to POST /api/users/reset-password:\n\n${token}\n\n`
+        + `The token can be used once and expires in ${expiresInMinutes} minutes.`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Password reset token sent to ${user.email}`,
+      expiresAt: user.passwordResetExpires
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   post:
+ *     summary: Create a new user (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *               - phone
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [Director, Manager, Sales Agent]
+ *                 description: Only a Director may create another Director
+ *               branch:
+ *                 type: string
+ *                 enum: [Maganjo, Matugga]
+ *                 description: Required for sales agents
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only, or role above the caller's own
+ */
+router.post('/', 
+  protect,
+  authorize('Manager'),
+  [
+    body('name').isLength({ min: 2 }).withMessage('Name must be at least 2 characters')
+      .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Name must be alphanumeric'),
+    body('email').isEmail().withMessage('Please enter a valid email'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('phone').matches(/^[0-9]{10,12}$/).withMessage('Please enter a valid phone number'),
+    body('role').isIn(['Director', 'Manager', 'Sales Agent']).withMessage('Invalid role'),
+    body('branch').if(body('role').equals('Sales Agent'))
+      .isIn(['Maganjo', 'Matugga']).withMessage('Sales agents must be assigned to Maganjo or Matugga'),
+    body('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, email, password, phone, role, branch } = req.body;
+
+      // Nobody can hand out a role above their own
+      if (roleRank(role) > roleRank(req.user.role)) {
+        return res.status(403).json({ error: `User role ${req.user.role} cannot create a ${role}` });
+      }
+
+      // Check if user already exists
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({ error: 'User already exists with this email' });
+      }
+
+      // Create user
+      const user = await User.create({
+        name,
+        email,
+        password,
+        phone,
+        role,
+        branch
+      });
+
+      user.password = undefined;
+
+      res.status(201).json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Get all users (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: name
+ *         description: Comma-separated fields, prefix with - for descending (name, email, role, branch, createdAt)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Created from (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Created to (inclusive)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [Director, Manager, Sales Agent]
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [Maganjo, Matugga]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: A page of users with total count and next/prev links
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/',
+  protect,
+  authorize('Manager'),
+  [
+    ...listRules(USER_SORT_FIELDS),
+    query('role').optional().isIn(['Director', 'Manager', 'Sales Agent']).withMessage('Invalid role'),
+    query('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+    query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let filter = dateRange('createdAt', req.query.from, req.query.to);
+
+      if (req.query.role) {
+        filter.role = req.query.role;
+      }
+
+      if (req.query.branch) {
+        filter.branch = req.query.branch;
+      }
+
+      if (req.query.isActive !== undefined) {
+        filter.isActive = req.query.isActive === 'true';
+      }
+
+      const options = listOptions(req, { createdAt: -1 });
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select('-password')
+          .sort(options.sort)
+          .skip(options.skip)
+          .limit(options.limit),
+        User.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: users.length,
+        ...pageInfo(req, total, options),
+        data: users
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /users/profile:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/profile', protect, async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+});
+
+/**
+ * @swagger
+ * /users/profile:
+ *   patch:
+ *     summary: Update your own name and phone number
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ */
+router.patch('/profile',
+  protect,
+  [
+    body('name').optional().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters')
+      .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Name must be alphanumeric'),
+    body('phone').optional().matches(/^[0-9]{10,12}$/).withMessage('Please enter a valid phone number'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+      auditBefore(res, user);
+
+      ['name', 'phone'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          user[field] = req.body[field];
+        }
+      });
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Get a user (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - Managers only
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', protect, authorize('Manager'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   patch:
+ *     summary: Update a user's name, phone, role or branch (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [Director, Manager, Sales Agent]
+ *               branch:
+ *                 type: string
+ *                 enum: [Maganjo, Matugga]
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Managers only, or role above the caller's own
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Would demote the last active Manager
+ */
+router.patch('/:id',
+  protect,
+  authorize('Manager'),
+  [
+    body('name').optional().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters')
+      .matches(/^[a-zA-Z0-9\s]+$/).withMessage('Name must be alphanumeric'),
+    body('phone').optional().matches(/^[0-9]{10,12}$/).withMessage('Please enter a valid phone number'),
+    body('role').optional().isIn(['Director', 'Manager', 'Sales Agent']).withMessage('Invalid role'),
+    body('branch').optional().isIn(['Maganjo', 'Matugga']).withMessage('Branch must be Maganjo or Matugga'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      auditBefore(res, user);
+
+      const callerRank = roleRank(req.user.role);
+      if (roleRank(user.role) > callerRank || (req.body.role && roleRank(req.body.role) > callerRank)) {
+        return res.status(403).json({ error: `User role ${req.user.role} cannot assign or change a role above its own` });
+      }
+
+      if (req.body.role && req.body.role !== 'Manager' && await isLastActiveManager(user)) {
+        return res.status(409).json({ error: 'Cannot demote the last active Manager' });
+      }
+
+      ['name', 'phone', 'role', 'branch'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          user[field] = req.body[field];
+        }
+      });
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /users/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate a user and end their sessions (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       400:
+ *         description: User is already deactivated, or is the caller
+ *       403:
+ *         description: Forbidden - Managers only, or user outranks the caller
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is the last active Manager
+ */
+router.patch('/:id/deactivate', protect, authorize('Manager'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    auditBefore(res, user);
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    if (roleRank(user.role) > roleRank(req.user.role)) {
+      return res.status(403).json({ error: `User role ${req.user.role} cannot deactivate a ${user.role}` });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ error: 'User is already deactivated' });
+    }
+
+    if (await isLastActiveManager(user)) {
+      return res.status(409).json({ error: 'Cannot deactivate the last active Manager' });
+    }
+
+    user.isActive = false;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'Account deactivated');
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/reactivate:
+ *   patch:
+ *     summary: Reactivate a deactivated user (Manager only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       400:
+ *         description: User is already active
+ *       403:
+ *         description: Forbidden - Managers only, or user outranks the caller
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/reactivate', protect, authorize('Manager'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    auditBefore(res, user);
+
+    if (roleRank(user.role) > roleRank(req.user.role)) {
+      return res.status(403).json({ error: `User role ${req.user.role} cannot reactivate a ${user.role}` });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ error: 'User is already active' });
+    }
+
+    user.isActive = true;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,85 @@
+// Cost of goods sold for produce, replaying procurements and sales in date order
+
+const COSTING_METHODS = ['weighted-average', 'fifo'];
+
+// Moving weighted average: every kg on hand costs the same, re-averaged on each purchase
+const weightedAverageLedger = () => {
+  let quantity = 0;
+  let value = 0;
+
+  return {
+    receive(tonnage, cost) {
+      quantity += tonnage;
+      value += cost;
+    },
+    // Resolves what `tonnage` kg cost, and how many of them were not on hand
+    issue(tonnage) {
+      const covered = Math.min(quantity, tonnage);
+      const cogs = quantity > 0 ? (value / quantity) * covered : 0;
+
+      quantity -= covered;
+      value = quantity > 0 ? value - cogs : 0;
+
+      return { cogs, shortfall: tonnage - covered };
+    },
+  };
+};
+
+// First in, first out: sales use up the oldest purchase lots first
+const fifoLedger = () => {
+  const lots = [];
+
+  return {
+    receive(tonnage, cost) {
+      lots.push({ quantity: tonnage, costPerKg: cost / tonnage });
+    },
+    issue(tonnage) {
+      let remaining = tonnage;
+      let cogs = 0;
+
+      while (remaining > 0 && lots.length) {
+        const lot = lots[0];
+        const used = Math.min(lot.quantity, remaining);
+        cogs += used * lot.costPerKg;
+        lot.quantity -= used;
+        remaining -= used;
+        if (lot.quantity <= 0) lots.shift();
+      }
+
+      return { cogs, shortfall: remaining };
+    },
+  };
+};
+
+const LEDGERS = { 'weighted-average': weightedAverageLedger, fifo: fifoLedger };
+
+// Purchases on the same date are received before that date's sales
+const chronological = (a, b) => (a.date - b.date) || ((a.type === 'in' ? 0 : 1) - (b.type === 'in' ? 0 : 1));
+
+/**
+ * Cost each sale of one produce at one branch. `movements` are
+ * { type: 'in', date, tonnage, cost } for procurements and
+ * { type: 'out', date, tonnage, ... } for sales, in any order. Returns the
+ * sales, each with `cogs` and `shortfall` (kg sold beyond what had been
+ * procured, costed at the latest purchase price per kg).
+ */
+const costSales = (movements, method) => {
+  const ledger = LEDGERS[method]();
+  let lastCostPerKg = 0;
+  const sales = [];
+
+  [...movements].sort(chronological).forEach((movement) => {
+    if (movement.type === 'in') {
+      ledger.receive(movement.tonnage, movement.cost);
+      lastCostPerKg = movement.cost / movement.tonnage;
+      return;
+    }
+
+    const { cogs, shortfall } = ledger.issue(movement.tonnage);
+    sales.push({ ...movement, cogs: cogs + shortfall * lastCostPerKg, shortfall });
+  });
+
+  return sales;
+};
+
+module.exports = { COSTING_METHODS, costSales };
@@ -0,0 +1,161 @@
+const PDFDocument = require('pdfkit');
+const { query } = require('express-validator');
+
+const COMPANY_NAME = 'Karibu Groceries Ltd';
+
+// ?format= for a route that renders a document, e.g. documentFormatRule(['html', 'pdf'])
+const documentFormatRule = (formats) => query('format').optional().isIn(formats)
+  .withMessage(`Format must be one of: ${formats.join(', ')}`);
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const htmlRows = (pairs) => pairs
+  .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+  .join('');
+
+const htmlTable = ({ columns, rows }) => {
+  const cell = (tag, column, value) => `<${tag}${column.align === 'right' ? ' class="right"' : ''}>${escapeHtml(value)}</${tag}>`;
+  const head = columns.map((column) => cell('th', column, column.header)).join('');
+  const body = rows.map((row) => `<tr>${columns.map((column, i) => cell('td', column, row[i])).join('')}</tr>`).join('');
+  return `<table class="lines"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+};
+
+const renderHtml = (document) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)} ${escapeHtml(document.number || '')}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: ${document.table ? 800 : 420}px; margin: 24px auto; padding: 0 16px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 16px; margin: 4px 0 16px; font-weight: normal; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+  .details th { text-align: left; font-weight: normal; color: #555; width: 45%; padding: 3px 0; }
+  .details td { text-align: right; padding: 3px 0; }
+  .lines th, .lines td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+  .lines .right, .totals td { text-align: right; }
+  .totals th { text-align: left; padding: 3px 0; }
+  .stamp { color: #c00; font-weight: bold; font-size: 18px; border: 2px solid #c00; display: inline-block; padding: 2px 10px; margin-bottom: 12px; }
+  footer { color: #555; font-size: 13px; text-align: center; margin-top: 24px; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(COMPANY_NAME)}</h1>
+<h2>${escapeHtml(document.title)}${document.number ? ` No. ${escapeHtml(document.number)}` : ''}</h2>
+${document.stamp ? `<div class="stamp">${escapeHtml(document.stamp)}</div>` : ''}
+<table class="details">${htmlRows(document.details || [])}</table>
+${document.table ? htmlTable(document.table) : ''}
+${document.totals ? `<table class="totals">${htmlRows(document.totals)}</table>` : ''}
+${document.footer ? `<footer>${escapeHtml(document.footer)}</footer>` : ''}
+</body>
+</html>
+`;
+
+// Start a new page when fewer than `height` points are left on this one
+const ensureSpace = (pdf, height) => {
+  if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom) {
+    pdf.addPage();
+  }
+};
+
+const pdfPairs = (pdf, pairs, { bold } = {}) => {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+
+  pairs.forEach(([label, value]) => {
+    ensureSpace(pdf, 16);
+    const y = pdf.y;
+    pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(bold ? '#222' : '#555')
+      .text(String(label), left, y, { width: width * 0.45 });
+    pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor('#222')
+      .text(String(value === undefined || value === null ? '' : value), left + width * 0.45, y, { width: width * 0.55, align: 'right' });
+    pdf.moveDown(0.3);
+  });
+  pdf.moveDown(0.5);
+};
+
+const pdfTable = (pdf, { columns, rows }) => {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+  const columnWidth = width / columns.length;
+
+  const line = (values, font) => {
+    ensureSpace(pdf, 28);
+    const y = pdf.y;
+    let bottom = y;
+    pdf.font(font).fontSize(9).fillColor('#222');
+    columns.forEach((column, i) => {
+      pdf.text(String(values[i] === undefined || values[i] === null ? '' : values[i]), left + i * columnWidth + 2, y, {
+        width: columnWidth - 4,
+        align: column.align === 'right' ? 'right' : 'left',
+      });
+      bottom = Math.max(bottom, pdf.y);
+    });
+    pdf.moveTo(left, bottom + 2).lineTo(left + width, bottom + 2).strokeColor('#ddd').stroke();
+    pdf.y = bottom + 5;
+  };
+
+  line(columns.map((column) => column.header), 'Helvetica-Bold');
+  rows.forEach((row) => line(row, 'Helvetica'));
+  pdf.fontSize(11).moveDown(0.5);
+};
+
+const renderPdf = (res, document) => new Promise((resolve, reject) => {
+  const pdf = new PDFDocument({ size: document.pageSize || 'A4', margin: 40, info: { Title: document.title } });
+  const left = pdf.page.margins.left;
+
+  pdf.on('error', reject);
+  res.on('finish', resolve);
+  // A client that goes away before the end closes the response without finishing it
+  res.on('close', () => {
+    pdf.unpipe(res);
+    resolve();
+  });
+  pdf.pipe(res);
+
+  pdf.font('Helvetica-Bold').fontSize(16).text(COMPANY_NAME);
+  pdf.font('Helvetica').fontSize(13).text(`${document.title}${document.number ? ` No. ${document.number}` : ''}`);
+  pdf.moveDown(0.5);
+
+  if (document.stamp) {
+    pdf.font('Helvetica-Bold').fontSize(16).fillColor('#c00').text(document.stamp).fillColor('#222');
+    pdf.moveDown(0.5);
+  }
+
+  pdf.fontSize(11);
+  pdfPairs(pdf, document.details || []);
+  if (document.table) pdfTable(pdf, document.table);
+  if (document.totals) pdfPairs(pdf, document.totals, { bold: true });
+
+  if (document.footer) {
+    ensureSpace(pdf, 30);
+    pdf.moveDown(1).font('Helvetica').fontSize(9).fillColor('#555')
+      .text(document.footer, left, pdf.y, { align: 'center' });
+  }
+
+  pdf.end();
+});
+
+/**
+ * Send a printable document as an HTML page or a PDF download. A document is
+ * { title, number, filename, stamp, pageSize, details: [[label, value]],
+ * table: { columns: [{ header, align }], rows: [[value]] }, totals: [[label, value]], footer },
+ * with every value already formatted for display.
+ */
+const sendDocument = async (res, format, document) => {
+  if (format === 'pdf') {
+    res.status(200);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${document.filename}.pdf"`);
+    return renderPdf(res, document);
+  }
+
+  res.status(200).type('html').send(renderHtml(document));
+};
+
+module.exports = { documentFormatRule, sendDocument };
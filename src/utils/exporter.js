@@ -0,0 +1,123 @@
+const ExcelJS = require('exceljs');
+const { query } = require('express-validator');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const EXCEL_FORMATS = {
+  money: '#,##0 "UgX"',
+  number: '#,##0',
+  date: 'dd/mm/yyyy',
+  datetime: 'dd/mm/yyyy hh:mm',
+};
+
+// ?format=json|csv|xlsx on any route that can export
+const formatRule = query('format').optional().isIn(['json', ...EXPORT_FORMATS])
+  .withMessage(`Format must be one of: json, ${EXPORT_FORMATS.join(', ')}`);
+
+// The export format a request asked for, or null for plain JSON
+const exportFormat = (req) => (EXPORT_FORMATS.includes(req.query.format) ? req.query.format : null);
+
+const formatMoney = (value) => `${Math.round(value).toLocaleString('en-US')} UgX`;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// In UTC, the time zone days are filtered, grouped and closed in
+const formatDate = (value, withTime) => {
+  const date = new Date(value);
+  const day = `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+  return withTime ? `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}` : day;
+};
+
+// Human-readable text for one cell of a CSV row
+const csvText = (value, type) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (type === 'money') return formatMoney(value);
+  if (type === 'date') return formatDate(value, false);
+  if (type === 'datetime') return formatDate(value, true);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+const csvCell = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+const excelValue = (value, type) => {
+  if (value === undefined || value === null) return null;
+  if (['date', 'datetime'].includes(type)) return new Date(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value;
+};
+
+// Resolve once the response can take more data, or has closed and never will
+const drained = (res) => new Promise((resolve) => {
+  const done = () => {
+    ['drain', 'close', 'error'].forEach((event) => res.off(event, done));
+    resolve();
+  };
+  ['drain', 'close', 'error'].forEach((event) => res.on(event, done));
+});
+
+// Stop reading rows nobody will receive, releasing a query cursor's server resources
+const closeRows = async (rows) => {
+  if (typeof rows.close === 'function') {
+    await rows.close();
+  }
+};
+
+/**
+ * Stream rows to the response as a CSV or XLSX download, one row at a time,
+ * so large exports never sit in memory. `rows` may be an array or any async
+ * iterable such as a mongoose query cursor. Each column is
+ * { header, value: (row) => any, type: 'text' | 'number' | 'money' | 'date' | 'datetime' }.
+ */
+const streamExport = async (res, { format, filename, sheetName, columns, rows }) => {
+  res.status(200);
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    // Byte order mark so Excel opens the file as UTF-8
+    res.write(`\uFEFF${columns.map((column) => csvCell(column.header)).join(',')}\r\n`);
+
+    for await (const row of rows) {
+      const line = columns.map((column) => csvCell(csvText(column.value(row), column.type))).join(',');
+      if (!res.write(`${line}\r\n`)) {
+        await drained(res);
+      }
+      if (res.destroyed) {
+        await closeRows(rows);
+        return;
+      }
+    }
+
+    res.end();
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName || filename);
+
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    width: Math.max(column.header.length + 2, 14),
+    style: EXCEL_FORMATS[column.type] ? { numFmt: EXCEL_FORMATS[column.type] } : {},
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const row of rows) {
+    if (res.destroyed) {
+      await closeRows(rows);
+      return;
+    }
+    worksheet.addRow(columns.map((column) => excelValue(column.value(row), column.type))).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+module.exports = { formatRule, exportFormat, streamExport, formatMoney, formatDate };
@@ -0,0 +1,101 @@
+const multer = require('multer');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 1000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+});
+
+// Accept one CSV file in the "file" field of a multipart form, answering
+// upload problems (too large, wrong field) with a 400 instead of a 500
+const csvUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`
+        : error.message;
+      return res.status(400).json({ error: message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a CSV file in the "file" field' });
+    }
+    next();
+  });
+};
+
+// "Tonnage (kg)", "tonnage" and "TONNAGE" all become "tonnage"
+const headerKey = (header) => header.toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+
+// "1,500", "15,000 UgX" -> "1500", "15000"
+const plainNumber = (value) => value.replace(/,/g, '').replace(/\s*ugx$/i, '').trim();
+
+// dd/mm/yyyy as written by our own CSV exports, otherwise left for the validators
+const isoDate = (value) => {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+  if (!match) return value;
+  const [, day, month, year] = match;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+/**
+ * Parse an uploaded CSV into plain objects keyed by field name. `columns` maps
+ * each field to the headers it may appear under, plus its type:
+ * { field, headers: ['Produce', ...], type: 'text' | 'number' | 'date' }.
+ * Headers are matched ignoring case, spacing, punctuation and "(units)", and
+ * unknown columns are ignored. Resolves to { rows } or { error }.
+ */
+const parseCsv = (buffer, columns) => {
+  let records;
+  try {
+    records = parse(buffer, { bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+  } catch (error) {
+    return { error: `Could not read CSV: ${error.message}` };
+  }
+
+  const [headers, ...lines] = records;
+  if (!headers) {
+    return { error: 'CSV file is empty' };
+  }
+  if (lines.length > MAX_IMPORT_ROWS) {
+    return { error: `CSV has ${lines.length} rows; import at most ${MAX_IMPORT_ROWS} at a time` };
+  }
+
+  const positions = columns.map((column) => {
+    const keys = [column.field, ...column.headers].map(headerKey);
+    return headers.findIndex((header) => keys.includes(headerKey(header)));
+  });
+
+  const missing = columns.filter((column, i) => column.required && positions[i] === -1);
+  if (missing.length) {
+    return { error: `CSV is missing columns: ${missing.map((column) => column.headers[0]).join(', ')}` };
+  }
+
+  const rows = lines.map((line) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      const value = positions[i] === -1 ? '' : (line[positions[i]] || '');
+      if (value === '') return;
+      if (column.type === 'number') row[column.field] = plainNumber(value);
+      else if (column.type === 'date') row[column.field] = isoDate(value);
+      else row[column.field] = value;
+    });
+    return row;
+  });
+
+  return { rows };
+};
+
+// Run express-validator body rules against one parsed row; resolves to its errors
+const validateRow = async (rules, row) => {
+  const req = { body: row };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array();
+};
+
+module.exports = { csvUpload, parseCsv, validateRow };
@@ -0,0 +1,103 @@
+const { query } = require('express-validator');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// A date-only "to" such as 2024-05-17 covers the whole of that day
+const endOfRange = (value) => {
+  const date = new Date(value);
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Conditions for a date field falling inside an optional from/to range, given
+// as dates or query strings
+const dateRange = (field, from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = endOfRange(to);
+  return Object.keys(range).length ? { [field]: range } : {};
+};
+
+// Match user input literally inside a RegExp, e.g. for partial name searches
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse "?sort=-date,tonnage" into a mongoose sort object
+const parseSort = (value) => {
+  const sort = {};
+
+  value.split(',').map((field) => field.trim()).filter(Boolean).forEach((field) => {
+    if (field.startsWith('-')) {
+      sort[field.slice(1)] = -1;
+    } else {
+      sort[field] = 1;
+    }
+  });
+
+  return sort;
+};
+
+// A query parameter repeated in the URL arrives as an array, and each check
+// after this one would pass or fail element by element; reject it instead
+const givenOnce = (field) => query(field).optional().isString().withMessage(`${field} must be given once`).bail();
+
+// Free-text filters are used as strings, so they must be given once
+const textFilters = (...fields) => fields.map(givenOnce);
+
+// Optional from/to dates, as taken by dateRange
+const dateRules = () => [
+  givenOnce('from').isISO8601().withMessage('Please enter a valid from date'),
+  givenOnce('to').isISO8601().withMessage('Please enter a valid to date'),
+];
+
+// Validators shared by every paginated list route
+const listRules = (sortFields) => [
+  givenOnce('page').isInt({ min: 1 }).withMessage('Page must be a positive whole number'),
+  givenOnce('limit').isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  ...dateRules(),
+  givenOnce('sort').custom((value) => {
+    const invalid = Object.keys(parseSort(value)).filter((field) => !sortFields.includes(field));
+    if (invalid.length) {
+      throw new Error(`Cannot sort by ${invalid.join(', ')}. Allowed: ${sortFields.join(', ')}`);
+    }
+    return true;
+  }),
+];
+
+// Page, limit and sort for a list request, falling back to the route's default sort
+const listOptions = (req, defaultSort) => {
+  const page = req.query.page ? Number(req.query.page) : 1;
+  const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sort: req.query.sort ? parseSort(req.query.sort) : defaultSort,
+  };
+};
+
+// Link to another page of the same request, keeping every other query parameter
+const pageLink = (req, page) => {
+  const params = new URLSearchParams(req.query);
+  params.set('page', page);
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+};
+
+// Totals and next/previous links to send alongside a page of results
+const pageInfo = (req, total, { page, limit }) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    total,
+    page,
+    limit,
+    totalPages,
+    next: page < totalPages ? pageLink(req, page + 1) : null,
+    prev: page > 1 ? pageLink(req, Math.min(page - 1, Math.max(totalPages, 1))) : null,
+  };
+};
+
+module.exports = { dateRange, endOfRange, dateRules, listRules, listOptions, pageInfo, escapeRegExp, textFilters };
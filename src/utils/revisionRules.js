@@ -0,0 +1,17 @@
+const { body } = require('express-validator');
+const { REASON_CODES } = require('../models/plugins/revisable');
+
+// Every correction, void and correction request must say why
+const reasonRules = [
+  body('reasonCode').isIn(REASON_CODES).withMessage(`Reason code must be one of: ${REASON_CODES.join(', ')}`),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+];
+
+// A manager's decision on a pending correction request
+const reviewRules = [
+  body('status').isIn(['Approved', 'Rejected']).withMessage('Status must be Approved or Rejected'),
+  body('reviewNote').optional().isLength({ max: 500 }).withMessage('Review note cannot exceed 500 characters'),
+];
+
+module.exports = { reasonRules, reviewRules };
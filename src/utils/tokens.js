@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const accessTokenExpiry = () => process.env.JWT_EXPIRE || '15m';
+
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+const newSecret = () => crypto.randomBytes(40).toString('hex');
+
+// Access token plus a refresh token of the form "<sessionId>.<secret>"
+const issueTokens = (user, session, secret) => ({
+  token: jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenExpiry() }
+  ),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: accessTokenExpiry(),
+  refreshExpiresAt: session.expiresAt,
+});
+
+// Open a new session for a user who has just proved who they are
+const startSession = async (user, req) => {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: Session.hashToken(secret),
+    expiresAt: new Date(Date.now() + refreshTokenDays() * DAY_MS),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  return issueTokens(user, session, secret);
+};
+
+// Swap the session's refresh token for a new one; the old one stops working.
+// The swap only succeeds while the session still holds the token that was
+// presented, so of two refreshes with the same token only one gets new tokens;
+// the other resolves to null and the session is revoked as a reused token.
+const rotateSession = async (user, session) => {
+  const secret = newSecret();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: Session.hashToken(secret),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenDays() * DAY_MS),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await session.revoke('Refresh token reuse detected');
+    return null;
+  }
+
+  return issueTokens(user, rotated, secret);
+};
+
+const parseRefreshToken = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const [sessionId, secret] = value.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+module.exports = { startSession, rotateSession, parseRefreshToken };